@@ -0,0 +1,55 @@
+const { generateAllScheduledCycles } = require('../utils/deliveryCycles');
+const { lockDueCommunityCarts } = require('../utils/communityCarts');
+
+// Run every 15 minutes unless overridden
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one pass of the background jobs. Passes never overlap.
+ */
+const runScheduledJobs = async () => {
+  if (running) {
+    return;
+  }
+  
+  running = true;
+  try {
+    const createdCycles = await generateAllScheduledCycles();
+    if (createdCycles > 0) {
+      console.log(`Scheduler: created ${createdCycles} delivery cycles from recurring schedules`);
+    }
+    
+    const lockedCarts = await lockDueCommunityCarts();
+    if (lockedCarts > 0) {
+      console.log(`Scheduler: locked ${lockedCarts} community carts past their order cut-off`);
+    }
+  } catch (error) {
+    console.error('Scheduler error:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Start the in-process scheduler
+ */
+const startScheduler = (intervalMs = Number(process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  if (timer) {
+    return;
+  }
+  
+  runScheduledJobs();
+  timer = setInterval(runScheduledJobs, intervalMs);
+};
+
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = { startScheduler, stopScheduler, runScheduledJobs };
@@ -1,5 +1,24 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Community = require('../models/Community');
+
+// How global roles (User.role) are named in 403 messages
+const ROLE_LABELS = {
+  user: 'user',
+  admin: 'admin',
+  walmart: 'Walmart'
+};
+
+const COMMUNITY_PERMISSION_MESSAGE = 'You do not have permission to do this in this community';
+
+// Thrown by a community loader when the resource it looks up does not exist
+class ResourceNotFoundError extends Error {
+  constructor(resourceName) {
+    super(`${resourceName} not found`);
+    this.name = 'ResourceNotFoundError';
+  }
+}
 
 const getTokenFromHeaders = (req) => {
   // Try Authorization header first
@@ -17,115 +36,135 @@ const getTokenFromHeaders = (req) => {
   return null;
 };
 
-const auth = async (req, res, next) => {
+// Find the signed-in user, or explain why there is none
+const authenticate = async (req) => {
+  const token = getTokenFromHeaders(req);
+  
+  if (!token) {
+    return { error: 'No authentication token provided' };
+  }
+  
   try {
-    const token = getTokenFromHeaders(req);
-    
-    if (!token) {
-      throw new Error('No authentication token provided');
-    }
-    
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findById(decoded.id);
-
-    if (!user) {
-      throw new Error('User not found');
-    }
-
-    req.token = token;
-    req.user = user;
-    next();
+    
+    return user ? { token, user } : { error: 'User not found' };
   } catch (error) {
-    console.error('Auth middleware error:', error.message);
-    res.status(401).json({ message: 'Not authorized', error: error.message });
+    return { error: error.message };
   }
 };
 
-const adminAuth = async (req, res, next) => {
-  try {
-    const token = getTokenFromHeaders(req);
-    
-    if (!token) {
-      throw new Error('No authentication token provided');
-    }
-    
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
-
-    if (!user || user.role !== 'admin') {
-      throw new Error('User is not an admin');
-    }
-
-    req.token = token;
-    req.user = user;
-    next();
-  } catch (error) {
-    console.error('Admin auth middleware error:', error.message);
-    res.status(401).json({ message: 'Not authorized as admin', error: error.message });
-  }
+// 403 for a missing community permission
+const denyCommunityPermission = (res, permission) => {
+  return res.status(403).json({ message: COMMUNITY_PERMISSION_MESSAGE, permission });
 };
 
-const walmartAuth = async (req, res, next) => {
-  try {
-    const token = getTokenFromHeaders(req);
+/**
+ * Build a community loader for routes on a resource that belongs to a
+ * community, such as an order or settlement. It finds the document named by
+ * req.params.id, keeps it on req (req.order, req.deliveryCycle, ...) and
+ * returns its community, which may be unset.
+ */
+const communityOf = (Model) => {
+  const key = Model.modelName.charAt(0).toLowerCase() + Model.modelName.slice(1);
+  const resourceName = Model.modelName.replace(/(?!^)([A-Z])/g, letter => ` ${letter.toLowerCase()}`);
+  
+  return async (req) => {
+    const resource = mongoose.isValidObjectId(req.params.id) ? await Model.findById(req.params.id) : null;
     
-    if (!token) {
-      throw new Error('No authentication token provided');
+    if (!resource) {
+      throw new ResourceNotFoundError(resourceName);
     }
     
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
-
-    if (!user || user.role !== 'walmart') {
-      console.log('walmartAuth: Not authorized as Walmart');
-      throw new Error('User is not a Walmart admin');
-    }
-    console.log('walmartAuth: Authorized Walmart user', user.email);
-    req.token = token;
-    req.user = user;
-    next();
-  } catch (error) {
-    res.status(401).json({ message: 'Not authorized as Walmart' });
-  }
+    req[key] = resource;
+    return resource.community;
+  };
 };
 
-const communityAdminAuth = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization').replace('Bearer ', '');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
-
-    if (!user) {
-      throw new Error('User not found');
-    }
-    
-    // Check if user has isCommunityAdmin flag
-    if (!user.isCommunityAdmin) {
-      // If not, check if they're listed as an admin in any community
-      const Community = require('../models/Community');
-      const adminCommunity = await Community.findOne({ admin: user._id });
+/**
+ * Build middleware declaring what a route requires:
+ * - roles: global roles (User.role) that may use the route
+ * - permission: a community permission, checked against the caller's role in
+ *   the community named by req.params[param], or the community returned by
+ *   the community(req) loader (see communityOf); sets req.community and
+ *   req.communityRole
+ * - allow(req): with a permission, any other caller the route accepts, e.g.
+ *   an order's buyer; runs after the community loader
+ * Any one of them is enough. With none, any signed-in user passes.
+ * Responds 401 when the caller is not signed in, 404 when the community or
+ * resource does not exist and 403 when the caller lacks the role or permission.
+ */
+const authorize = ({ roles, permission, param = 'communityId', community: loadCommunity, allow } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const { token, user, error } = await authenticate(req);
       
-      if (!adminCommunity) {
-        console.log('Auth failed: User is not a community admin', { 
-          userId: user._id,
-          isCommunityAdmin: user.isCommunityAdmin
-        });
-        throw new Error('Not a community admin');
+      if (!user) {
+        return res.status(401).json({ message: 'Not authorized', error });
       }
       
-      // If they're an admin but don't have the flag, update their record
-      console.log(`Updating user ${user._id} to set isCommunityAdmin flag`);
-      await User.findByIdAndUpdate(user._id, { isCommunityAdmin: true });
-      user.isCommunityAdmin = true;
+      req.token = token;
+      req.user = user;
+      
+      const hasRole = !!roles && roles.includes(user.role);
+      
+      if (permission) {
+        const communityId = loadCommunity ? await loadCommunity(req) : req.params[param];
+        const community = communityId ? await Community.findById(communityId) : null;
+        
+        // A community named by the route must exist; a resource may have none
+        if (!community && !loadCommunity) {
+          return res.status(404).json({ message: 'Community not found' });
+        }
+        
+        if (community) {
+          req.community = community;
+          req.communityRole = community.getMemberRole(user._id);
+        }
+        
+        if (hasRole || (allow && allow(req)) || (community && community.hasPermission(user._id, permission))) {
+          return next();
+        }
+        
+        return denyCommunityPermission(res, permission);
+      }
+      
+      if (!roles || hasRole) {
+        return next();
+      }
+      
+      res.status(403).json({
+        message: `Not authorized as ${roles.map(role => ROLE_LABELS[role] || role).join(' or ')}`,
+        roles
+      });
+    } catch (error) {
+      console.error('Authorization error:', error.message);
+      if (error instanceof ResourceNotFoundError) {
+        return res.status(404).json({ message: error.message });
+      }
+      if (error.kind === 'ObjectId') {
+        return res.status(404).json({ message: 'Community not found' });
+      }
+      res.status(500).json({ message: 'Server error' });
     }
-
-    req.token = token;
-    req.user = user;
-    next();
-  } catch (error) {
-    console.error('Community admin auth error:', error.message);
-    res.status(401).json({ message: 'Not authorized as community admin' });
-  }
+  };
 };
 
-module.exports = { auth, adminAuth, walmartAuth, communityAdminAuth };
+// Requirements shared by most routes
+const auth = authorize();
+const adminAuth = authorize({ roles: ['admin'] });
+const walmartAuth = authorize({ roles: ['walmart'] });
+const staffAuth = authorize({ roles: ['walmart', 'admin'] });
+
+// Require a permission in the community named by a route parameter
+const communityAuth = (permission, param = 'communityId') => authorize({ permission, param });
+
+module.exports = {
+  authorize,
+  auth,
+  adminAuth,
+  walmartAuth,
+  staffAuth,
+  communityAuth,
+  communityOf
+};
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { getLineUnit } = require('../utils/inventory');
+const { linePricingSchema, priceLines, getCartCouponDiscount, getDeliveryFee, toLinePricing } = require('../utils/pricing');
+const { calculateCharges } = require('../utils/taxes');
 
 const cartSchema = new mongoose.Schema({
   user: {
@@ -12,16 +15,54 @@ const cartSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Pack size variant of the product, if one was chosen
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
     quantity: {
       type: Number,
       required: true,
       min: 1
-    }
+    },
+    // Price breakdown, recalculated on every save
+    pricing: linePricingSchema
   }],
   appliedCommunityDiscount: {
     type: Boolean,
     default: false
   },
+  // Total at list prices, before any discount
+  listTotal: {
+    type: Number,
+    default: 0
+  },
+  totalSavings: {
+    type: Number,
+    default: 0
+  },
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  // Coupon discount off totalPrice; 0 while the cart does not meet the coupon's conditions
+  couponDiscount: {
+    type: Number,
+    default: 0
+  },
+  // Items total after the coupon
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0
+  },
+  // Grand total: subtotal, tax and delivery fee
   totalPrice: {
     type: Number,
     default: 0
@@ -40,42 +81,66 @@ const cartSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Pre-save middleware to calculate total price and carbon footprint
+// Pre-save middleware to calculate totals, tax and carbon footprint
 cartSchema.pre('save', async function(next) {
   const cart = this;
-  let totalPrice = 0;
   let individualFootprint = 0;
   let communityFootprint = 0;
   
   // Populate products to get current prices and carbon footprint data
   await cart.populate('items.product');
+  await cart.populate('coupon');
   
-  cart.items.forEach(item => {
-    // Calculate price
-    const itemPrice = item.product.price * item.quantity;
-    totalPrice += itemPrice;
-    
-    // Calculate carbon footprint
-    individualFootprint += item.product.carbonFootprint.individual * item.quantity;
-    communityFootprint += item.product.carbonFootprint.community * item.quantity;
+  // Price each line with its own product and community discounts
+  const pricing = priceLines(cart.items, item => cart.getLineDiscountPercentage(item));
+  
+  cart.couponDiscount = getCartCouponDiscount(cart.coupon, cart.items, pricing);
+  
+  // Tax is estimated for delivery to the user's address
+  const user = await mongoose.model('User').findById(cart.user).select('address');
+  const charges = await calculateCharges({
+    items: cart.items,
+    pricing,
+    coupon: cart.coupon,
+    couponDiscount: cart.couponDiscount,
+    address: user ? user.address : null,
+    deliveryFee: cart.items.length > 0 ? getDeliveryFee(false) : 0
   });
   
-  // Apply community discount if applicable
-  if (cart.appliedCommunityDiscount) {
-    // Assuming all items have the same discount percentage (using the first one)
-    if (cart.items.length > 0 && cart.items[0].product) {
-      const discountPercentage = cart.items[0].product.communityDiscountPercentage;
-      totalPrice = totalPrice * (1 - (discountPercentage / 100));
+  cart.items.forEach((item, index) => {
+    const unit = getLineUnit(item);
+    item.pricing = toLinePricing(pricing.lines[index], charges.taxLines[index]);
+    
+    // Calculate carbon footprint
+    if (unit) {
+      individualFootprint += unit.carbonFootprint.individual * item.quantity;
+      communityFootprint += unit.carbonFootprint.community * item.quantity;
     }
-  }
+  });
   
-  cart.totalPrice = totalPrice;
+  cart.listTotal = pricing.listTotal;
+  cart.totalSavings = pricing.totalSavings;
+  cart.subtotal = charges.subtotal;
+  cart.tax = charges.tax;
+  cart.deliveryFee = charges.deliveryFee;
+  cart.totalPrice = charges.totalPrice;
   cart.totalCarbonFootprint.individual = individualFootprint;
   cart.totalCarbonFootprint.community = communityFootprint;
   
   next();
 });
 
+// Method to get a line's community discount; members of a community get each
+// product's own communityDiscountPercentage. Expects items.product to be populated.
+cartSchema.methods.getLineDiscountPercentage = function(item) {
+  if (!this.appliedCommunityDiscount) {
+    return 0;
+  }
+  
+  const unit = getLineUnit(item);
+  return (unit && unit.communityDiscountPercentage) || 0;
+};
+
 const Cart = mongoose.model('Cart', cartSchema);
 
 module.exports = Cart;
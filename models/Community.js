@@ -1,4 +1,46 @@
 const mongoose = require('mongoose');
+const ZipCode = require('./ZipCode');
+
+// Roles within a community, most senior first. The owner is the community's
+// admin field; admins and moderators are listed in roles; everyone else in
+// members is a member.
+const COMMUNITY_ROLES = ['owner', 'admin', 'moderator', 'member'];
+
+// What each role may do in its community
+const ROLE_PERMISSIONS = {
+  owner: [
+    'approve_requests',
+    'manage_invites',
+    'remove_members',
+    'manage_roles',
+    'transfer_ownership',
+    'lock_cart',
+    'manage_cart',
+    'manage_schedule',
+    'manage_orders',
+    'view_orders',
+    'manage_settlements'
+  ],
+  admin: [
+    'approve_requests',
+    'manage_invites',
+    'remove_members',
+    'manage_roles',
+    'lock_cart',
+    'manage_cart',
+    'manage_schedule',
+    'manage_orders',
+    'view_orders',
+    'manage_settlements'
+  ],
+  moderator: [
+    'approve_requests',
+    'manage_invites',
+    'lock_cart',
+    'view_orders'
+  ],
+  member: []
+};
 
 const communitySchema = new mongoose.Schema({
   name: {
@@ -19,15 +61,56 @@ const communitySchema = new mongoose.Schema({
       required: true
     },
     coordinates: {
-      latitude: Number,
-      longitude: Number
+      latitude: {
+        type: Number,
+        min: -90,
+        max: 90
+      },
+      longitude: {
+        type: Number,
+        min: -180,
+        max: 180
+      }
+    },
+    // GeoJSON point ([longitude, latitude]) kept in sync with coordinates for geo queries
+    point: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
     }
   },
+  // The community's owner
   admin: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Members with an elevated role
+  roles: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'moderator'],
+      required: true
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   members: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -49,6 +132,32 @@ const communitySchema = new mongoose.Schema({
       type: String,
       enum: ['pending', 'approved', 'rejected'],
       default: 'pending'
+    },
+    // Set when the request came from redeeming an invite code
+    invite: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommunityInvite'
+    }
+  }],
+  // Members who left or were removed, most recent last
+  formerMembers: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Set when the community admin removed the member
+    removedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      default: ''
+    },
+    leftAt: {
+      type: Date,
+      default: Date.now
     }
   }],
   isApproved: {
@@ -72,6 +181,87 @@ const communitySchema = new mongoose.Schema({
   timestamps: true
 });
 
+communitySchema.index({ 'location.point': '2dsphere' });
+
+// Pre-save middleware to keep the GeoJSON point in step with latitude/longitude
+communitySchema.pre('save', function(next) {
+  const coordinates = this.location && this.location.coordinates;
+  
+  if (coordinates && typeof coordinates.latitude === 'number' && typeof coordinates.longitude === 'number') {
+    this.location.point = {
+      type: 'Point',
+      coordinates: [coordinates.longitude, coordinates.latitude]
+    };
+  } else if (this.location) {
+    this.location.point = undefined;
+  }
+  
+  next();
+});
+
+// Static method to find a zip code's position: its centre from the imported
+// zip codes, otherwise the average position of the communities located in it.
+// Returns [longitude, latitude], or null when neither is known.
+communitySchema.statics.locateZipCode = async function(zipCode) {
+  const zipCodeCentre = await ZipCode.findOne({ zipCode: String(zipCode).trim() });
+  
+  if (zipCodeCentre) {
+    return [zipCodeCentre.longitude, zipCodeCentre.latitude];
+  }
+  
+  const communities = await this.find({
+    'location.zipCode': zipCode,
+    'location.point': { $exists: true }
+  }).select('location.point');
+  
+  if (communities.length === 0) {
+    return null;
+  }
+  
+  const sum = communities.reduce(([longitude, latitude], community) => [
+    longitude + community.location.point.coordinates[0],
+    latitude + community.location.point.coordinates[1]
+  ], [0, 0]);
+  
+  return [sum[0] / communities.length, sum[1] / communities.length];
+};
+
+// Method to get a user's role in the community, or null for non-members
+communitySchema.methods.getMemberRole = function(userId) {
+  if (!userId) {
+    return null;
+  }
+  
+  const id = (userId._id || userId).toString();
+  const adminId = (this.admin && this.admin._id) || this.admin;
+  
+  if (adminId && adminId.toString() === id) {
+    return 'owner';
+  }
+  
+  const entry = this.roles.find(roleEntry => ((roleEntry.user && roleEntry.user._id) || roleEntry.user).toString() === id);
+  if (entry) {
+    return entry.role;
+  }
+  
+  const isMember = this.members.some(member => ((member && member._id) || member).toString() === id);
+  return isMember ? 'member' : null;
+};
+
+// Method to check whether a user's role in the community grants a permission
+communitySchema.methods.hasPermission = function(userId, permission) {
+  const role = this.getMemberRole(userId);
+  return !!role && ROLE_PERMISSIONS[role].includes(permission);
+};
+
+// Static method to check whether one role outranks another
+communitySchema.statics.outranks = function(role, otherRole) {
+  return COMMUNITY_ROLES.indexOf(role) < COMMUNITY_ROLES.indexOf(otherRole);
+};
+
+communitySchema.statics.COMMUNITY_ROLES = COMMUNITY_ROLES;
+communitySchema.statics.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
 const Community = mongoose.model('Community', communitySchema);
 
 module.exports = Community;
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { getLineUnit } = require('../utils/inventory');
+const { linePricingSchema, priceLines, getCartCouponDiscount, getDeliveryFee, toLinePricing } = require('../utils/pricing');
+const { calculateCharges } = require('../utils/taxes');
 
 const communityCartSchema = new mongoose.Schema({
   community: {
@@ -12,6 +15,10 @@ const communityCartSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Pack size variant of the product, if one was chosen
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
     quantity: {
       type: Number,
       required: true,
@@ -20,7 +27,22 @@ const communityCartSchema = new mongoose.Schema({
     addedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    }
+    },
+    // Per-member breakdown of the line; quantity is the sum of these
+    contributions: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      }
+    }],
+    // Price breakdown, recalculated on every save
+    pricing: linePricingSchema
   }],
   deliveryCycle: {
     type: mongoose.Schema.Types.ObjectId,
@@ -30,6 +52,62 @@ const communityCartSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  lockedAt: {
+    type: Date
+  },
+  // Whether product stock was reserved for the cart's lines when it was locked
+  stockReserved: {
+    type: Boolean,
+    default: false
+  },
+  // Set once a locked cart has been converted into per-member orders
+  isCheckedOut: {
+    type: Boolean,
+    default: false
+  },
+  checkedOutAt: {
+    type: Date
+  },
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  // Total at list prices, before any discount
+  listTotal: {
+    type: Number,
+    default: 0
+  },
+  totalSavings: {
+    type: Number,
+    default: 0
+  },
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
+  // Coupon discount off totalPrice; 0 while the cart does not meet the coupon's conditions
+  couponDiscount: {
+    type: Number,
+    default: 0
+  },
+  couponAppliedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Items total after the coupon
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0
+  },
+  // Grand total: subtotal, tax and the community delivery fee
   totalPrice: {
     type: Number,
     default: 0
@@ -41,34 +119,154 @@ const communityCartSchema = new mongoose.Schema({
     }
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
-// Pre-save middleware to calculate total price and carbon footprint
+// Combined base units of each product across the cart's lines and variants,
+// which is what volume tiers are measured against
+const unitsByProduct = (items) => {
+  const totals = new Map();
+  
+  items.forEach(item => {
+    // Skip lines whose product is not populated or whose product or variant no longer exists
+    if (!item.product || typeof item.product.getUnit !== 'function' || !getLineUnit(item)) {
+      return;
+    }
+    
+    const productId = item.product._id.toString();
+    const packSize = getLineUnit(item).packSize || 1;
+    totals.set(productId, (totals.get(productId) || 0) + item.quantity * packSize);
+  });
+  
+  return totals;
+};
+
+// Pre-save middleware to calculate totals, tax and carbon footprint
 communityCartSchema.pre('save', async function(next) {
   const cart = this;
-  let totalPrice = 0;
   let communityFootprint = 0;
   
+  // Keep each line's quantity in sync with its member contributions
+  cart.items.forEach(item => {
+    if (item.contributions && item.contributions.length > 0) {
+      item.quantity = item.contributions.reduce((sum, contribution) => sum + contribution.quantity, 0);
+      
+      // addedBy follows the line to a remaining member if its original author withdrew
+      const addedByStillContributing = item.contributions.some(
+        contribution => item.addedBy && contribution.user.toString() === item.addedBy.toString()
+      );
+      if (!addedByStillContributing) {
+        item.addedBy = item.contributions[0].user;
+      }
+    }
+  });
+  
   // Populate products to get current prices and carbon footprint data
   await cart.populate('items.product');
+  await cart.populate('coupon');
   
-  cart.items.forEach(item => {
-    // Calculate price with community discount
-    const itemPrice = item.product.price * item.quantity;
-    const discountPrice = itemPrice * (1 - (item.product.communityDiscountPercentage / 100));
-    totalPrice += discountPrice;
+  // Price each line with its product discount and community discount or volume tier
+  const pricing = priceLines(cart.items, item => cart.getLineDiscountPercentage(item));
+  
+  cart.couponDiscount = getCartCouponDiscount(cart.coupon, cart.items, pricing, { isCommunityCart: true });
+  
+  // Community orders are taxed where the community takes delivery
+  const community = await mongoose.model('Community').findById(cart.community).select('location');
+  const charges = await calculateCharges({
+    items: cart.items,
+    pricing,
+    coupon: cart.coupon,
+    couponDiscount: cart.couponDiscount,
+    address: community ? community.location : null,
+    deliveryFee: cart.items.length > 0 ? getDeliveryFee(true) : 0
+  });
+  
+  cart.items.forEach((item, index) => {
+    item.pricing = toLinePricing(pricing.lines[index], charges.taxLines[index]);
     
     // Calculate carbon footprint
-    communityFootprint += item.product.carbonFootprint.community * item.quantity;
+    const unit = getLineUnit(item);
+    if (unit) {
+      communityFootprint += unit.carbonFootprint.community * item.quantity;
+    }
   });
   
-  cart.totalPrice = totalPrice;
+  cart.listTotal = pricing.listTotal;
+  cart.totalSavings = pricing.totalSavings;
+  cart.subtotal = charges.subtotal;
+  cart.tax = charges.tax;
+  cart.deliveryFee = charges.deliveryFee;
+  cart.totalPrice = charges.totalPrice;
   cart.totalCarbonFootprint.community = communityFootprint;
   
   next();
 });
 
+// Method to get a line's community discount: the product's flat discount or
+// the volume tier the whole cart has reached, whichever is higher.
+// Expects items.product to be populated.
+communityCartSchema.methods.getLineDiscountPercentage = function(item) {
+  const unit = getLineUnit(item);
+  // Lines whose product or variant no longer exists are not discounted
+  if (!unit) {
+    return 0;
+  }
+  
+  const units = unitsByProduct(this.items).get(item.product._id.toString()) || 0;
+  const { currentTier } = item.product.getVolumeTier(units);
+  
+  return Math.max(unit.communityDiscountPercentage || 0, currentTier ? currentTier.discountPercentage : 0);
+};
+
+// Progress towards each product's next volume tier, shown with the cart so
+// members can pool orders. Empty unless items.product is populated.
+communityCartSchema.virtual('tierProgress').get(function() {
+  const progress = [];
+  
+  unitsByProduct(this.items).forEach((quantity, productId) => {
+    const { product } = this.items.find(
+      line => line.product && line.product._id && line.product._id.toString() === productId
+    );
+    
+    if (!product.volumeTiers || product.volumeTiers.length === 0) {
+      return;
+    }
+    
+    const { currentTier, nextTier, unitsToNextTier } = product.getVolumeTier(quantity);
+    
+    progress.push({
+      product: product._id,
+      name: product.name,
+      quantity,
+      currentTier,
+      nextTier,
+      unitsToNextTier
+    });
+  });
+  
+  return progress;
+});
+
+// Static to find a community's active cart. With recurring schedules a
+// community can have several open carts; the oldest belongs to the next cycle.
+communityCartSchema.statics.findActive = function(communityId) {
+  return this.findOne({
+    community: communityId,
+    isLocked: false
+  }).sort({ createdAt: 1 });
+};
+
+// Static method to find the most recent locked cart that has not been checked out yet
+communityCartSchema.statics.findAwaitingCheckout = function(communityId) {
+  return this.findOne({
+    community: communityId,
+    isLocked: true,
+    isCheckedOut: false
+  }).sort({ updatedAt: -1 });
+};
+
 const CommunityCart = mongoose.model('CommunityCart', communityCartSchema);
 
 module.exports = CommunityCart;
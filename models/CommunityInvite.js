@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Unambiguous characters for codes people type in (no 0/O or 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const communityInviteSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Unset means the invite never expires
+  expiresAt: {
+    type: Date
+  },
+  // Total redemptions allowed; unset means unlimited
+  maxUses: {
+    type: Number,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Add redeeming users straight away instead of leaving a pending request
+  autoApprove: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+communityInviteSchema.index({ community: 1, createdAt: -1 });
+
+// Pre-validate middleware to give new invites a random code
+communityInviteSchema.pre('validate', function(next) {
+  if (!this.code) {
+    this.code = this.constructor.generateCode();
+  }
+  
+  next();
+});
+
+// Static method to generate a random invite code
+communityInviteSchema.statics.generateCode = function() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+};
+
+// Method to check whether the invite can still be redeemed at a point in time
+communityInviteSchema.methods.isRedeemableAt = function(date = new Date()) {
+  if (!this.isActive) {
+    return false;
+  }
+  
+  if (this.expiresAt && date > this.expiresAt) {
+    return false;
+  }
+  
+  if (this.maxUses && this.usedCount >= this.maxUses) {
+    return false;
+  }
+  
+  return true;
+};
+
+const CommunityInvite = mongoose.model('CommunityInvite', communityInviteSchema);
+
+module.exports = CommunityInvite;
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  // Percentage off, or a fixed amount off the eligible lines
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Limit the coupon to these products and/or categories; empty means every product
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: String
+  }],
+  // Only usable on community carts
+  communityOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Minimum basket total after line discounts
+  minBasketAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Total redemptions allowed; unset means unlimited
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  usageLimitPerUser: {
+    type: Number,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-validate middleware to keep percentages and the validity window sensible
+couponSchema.pre('validate', function(next) {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discounts cannot exceed 100');
+  }
+  
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    this.invalidate('validUntil', 'validUntil must be after validFrom');
+  }
+  
+  next();
+});
+
+// Method to check whether the coupon can be used at a point in time
+couponSchema.methods.isRedeemableAt = function(date = new Date()) {
+  if (!this.isActive) {
+    return false;
+  }
+  
+  if (this.validFrom && date < this.validFrom) {
+    return false;
+  }
+  
+  if (this.validUntil && date > this.validUntil) {
+    return false;
+  }
+  
+  return true;
+};
+
+// Method to check whether a product falls within the coupon's scope
+couponSchema.methods.appliesTo = function(product) {
+  if (this.products.length === 0 && this.categories.length === 0) {
+    return true;
+  }
+  
+  const productId = (product._id || product).toString();
+  
+  return this.products.some(id => id.toString() === productId) ||
+    this.categories.includes(product.category);
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
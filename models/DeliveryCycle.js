@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
 
+// Allowed status changes; completed and cancelled cycles are final
+const STATUS_TRANSITIONS = {
+  'scheduled': ['in-progress', 'cancelled'],
+  'in-progress': ['completed', 'cancelled'],
+  'completed': [],
+  'cancelled': []
+};
+
 const deliveryCycleSchema = new mongoose.Schema({
   community: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,6 +23,44 @@ const deliveryCycleSchema = new mongoose.Schema({
     enum: ['scheduled', 'in-progress', 'completed', 'cancelled'],
     default: 'scheduled'
   },
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Hours before scheduledDate at which the community cart is locked
+  cutoffHours: {
+    type: Number,
+    default: () => Number(process.env.CART_CUTOFF_HOURS) || 48,
+    min: 0
+  },
+  cutoffAt: {
+    type: Date
+  },
+  // Set when the scheduler has locked the cycle's community cart
+  cartLockedAt: {
+    type: Date
+  },
+  // Recurring schedule this cycle was generated from, if any
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliverySchedule'
+  },
+  // Original occurrence date within the schedule (before any reschedule)
+  occurrenceDate: {
+    type: Date
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -44,6 +90,21 @@ const deliveryCycleSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Pre-save middleware to keep the order cut-off in step with the delivery date
+deliveryCycleSchema.pre('save', function(next) {
+  if (this.isModified('scheduledDate') || this.isModified('cutoffHours') || !this.cutoffAt) {
+    this.cutoffAt = new Date(this.scheduledDate.getTime() - this.cutoffHours * 60 * 60 * 1000);
+  }
+  next();
+});
+
+// Method to check whether the cycle may move to the given status
+deliveryCycleSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+deliveryCycleSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 const DeliveryCycle = mongoose.model('DeliveryCycle', deliveryCycleSchema);
 
 module.exports = DeliveryCycle;
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+// Local calendar day of a date, used to match skip and reschedule entries
+const toDateKey = (date) => {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+};
+
+const deliveryScheduleSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  // Day of the week the delivery drops (0 = Sunday, 6 = Saturday)
+  weekday: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  // Time of day in 24h HH:mm format
+  time: {
+    type: String,
+    default: '10:00',
+    match: /^([01]\d|2[0-3]):[0-5]\d$/
+  },
+  frequency: {
+    type: String,
+    enum: ['weekly', 'biweekly'],
+    default: 'weekly'
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date
+  },
+  skipDates: [{
+    type: Date
+  }],
+  reschedules: [{
+    originalDate: {
+      type: Date,
+      required: true
+    },
+    newDate: {
+      type: Date,
+      required: true
+    }
+  }],
+  // Cut-off applied to each generated delivery cycle (defaults to the cycle's own)
+  cutoffHours: {
+    type: Number,
+    min: 0
+  },
+  isPaused: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Method to list occurrences between two dates, with skips removed and
+// reschedules applied
+deliveryScheduleSchema.methods.getOccurrences = function(from, until) {
+  const schedule = this;
+  const [hours, minutes] = schedule.time.split(':').map(Number);
+  const step = schedule.frequency === 'biweekly' ? 14 : 7;
+  
+  const skipped = new Set(schedule.skipDates.map(toDateKey));
+  const rescheduled = new Map(
+    schedule.reschedules.map(entry => [toDateKey(entry.originalDate), entry.newDate])
+  );
+  
+  // First occurrence is the first matching weekday on or after the start date
+  const date = new Date(schedule.startDate);
+  date.setHours(hours, minutes, 0, 0);
+  while (date.getDay() !== schedule.weekday) {
+    date.setDate(date.getDate() + 1);
+  }
+  
+  const occurrences = [];
+  
+  while (date <= until && (!schedule.endDate || date <= schedule.endDate)) {
+    const key = toDateKey(date);
+    
+    if (date >= from && !skipped.has(key)) {
+      occurrences.push({
+        originalDate: new Date(date),
+        scheduledDate: rescheduled.has(key) ? new Date(rescheduled.get(key)) : new Date(date)
+      });
+    }
+    
+    date.setDate(date.getDate() + step);
+  }
+  
+  return occurrences;
+};
+
+// Method to find the occurrence falling on a given calendar day, if any
+deliveryScheduleSchema.methods.getOccurrence = function(date) {
+  const dayStart = new Date(date);
+  dayStart.setHours(0, 0, 0, 0);
+  const dayEnd = new Date(date);
+  dayEnd.setHours(23, 59, 59, 999);
+  
+  return this.getOccurrences(dayStart, dayEnd)[0] || null;
+};
+
+const DeliverySchedule = mongoose.model('DeliverySchedule', deliveryScheduleSchema);
+
+module.exports = DeliverySchedule;
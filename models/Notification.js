@@ -15,9 +15,15 @@ const notificationSchema = new mongoose.Schema({
       'request_rejected', 
       'new_order', 
       'delivery_status', 
+      'cart_locked', 
       'new_community', 
       'community_approved',
       'community_rejected',
+      'member_left',
+      'member_removed',
+      'admin_transferred',
+      'member_joined',
+      'role_changed',
       'other'
     ],
     required: true
@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const { linePricingSchema } = require('../utils/pricing');
+
+// Allowed order status changes; delivered and cancelled orders are final
+const STATUS_TRANSITIONS = {
+  'processing': ['shipped', 'cancelled'],
+  'shipped': ['delivered', 'cancelled'],
+  'delivered': [],
+  'cancelled': []
+};
 
 const orderSchema = new mongoose.Schema({
   user: {
@@ -10,22 +19,75 @@ const orderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Community'
   },
+  // Delivery cycle this order ships with (group orders only)
+  deliveryCycle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryCycle'
+  },
   items: [{
     product: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product',
       required: true
     },
+    // Pack size variant of the product, if one was chosen
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    variantName: {
+      type: String
+    },
     quantity: {
       type: Number,
       required: true,
       min: 1
     },
+    // Final unit price after all discounts
     price: {
       type: Number,
       required: true
-    }
+    },
+    pricing: linePricingSchema
   }],
+  // Total at list prices and the discounts taken off it
+  listTotal: {
+    type: Number
+  },
+  totalSavings: {
+    type: Number
+  },
+  // Coupon redeemed on this order; subtotal is after its discount
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: {
+      type: String
+    },
+    discountAmount: {
+      type: Number
+    },
+    // Set when the coupon was applied to a community cart and shared across its orders
+    communityCart: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommunityCart'
+    }
+  },
+  // Items total after the coupon
+  subtotal: {
+    type: Number
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  // Individual delivery fee, or this order's share of the community delivery fee
+  deliveryFee: {
+    type: Number,
+    default: 0
+  },
+  // Grand total charged: subtotal, tax and delivery fee
   totalPrice: {
     type: Number,
     required: true
@@ -52,14 +114,48 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed'],
+    enum: ['pending', 'completed', 'failed', 'refunded'],
     default: 'pending'
   },
+  // Payment provider that handled the order and its transaction reference
+  paymentProvider: {
+    type: String
+  },
+  paymentTransactionId: {
+    type: String
+  },
+  paymentError: {
+    type: String
+  },
   orderStatus: {
     type: String,
     enum: ['processing', 'shipped', 'delivered', 'cancelled'],
     default: 'processing'
   },
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date
+  },
   isGroupOrder: {
     type: Boolean,
     default: false
@@ -68,6 +164,15 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Whether product stock is currently held for this order
+  stockReserved: {
+    type: Boolean,
+    default: false
+  },
+  // Client supplied Idempotency-Key header of the request that placed the order
+  idempotencyKey: {
+    type: String
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -76,6 +181,19 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// One order per user and idempotency key
+orderSchema.index(
+  { user: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+// Method to check whether the order may move to the given status
+orderSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.orderStatus] || []).includes(status);
+};
+
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
 const Order = mongoose.model('Order', orderSchema);
 
 module.exports = Order;
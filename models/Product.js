@@ -1,6 +1,115 @@
 const mongoose = require('mongoose');
 
+// Read an unset variant field from the parent product, optionally scaled by
+// the pack size, so later changes to the product reach the variant
+const inheritFromProduct = (field, scaleByPackSize) => function(value) {
+  if (value !== undefined && value !== null) {
+    return value;
+  }
+  
+  const product = this.parent();
+  if (!product || product[field] === undefined || product[field] === null) {
+    return value;
+  }
+  
+  return scaleByPackSize ? product[field] * this.packSize : product[field];
+};
+
+// Pack size or other sellable variant of a product. Unset costs, dimensions and
+// community discount are read from the parent product.
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  // e.g. "6-pack" or "Case of 24"
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Number of base units in one variant
+  packSize: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  costPrice: {
+    type: Number,
+    min: 0,
+    get: inheritFromProduct('costPrice', true)
+  },
+  operationalCost: {
+    type: Number,
+    min: 0,
+    get: inheritFromProduct('operationalCost', false)
+  },
+  // Volume in cubic meters (m³)
+  volume: {
+    type: Number,
+    min: 0,
+    get: inheritFromProduct('volume', true)
+  },
+  // Weight in kilograms (kg)
+  weight: {
+    type: Number,
+    min: 0,
+    get: inheritFromProduct('weight', true)
+  },
+  communityDiscountPercentage: {
+    type: Number,
+    min: 0,
+    max: 50,
+    get: inheritFromProduct('communityDiscountPercentage', false)
+  },
+  stockQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reservedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  toJSON: { virtuals: true, getters: true },
+  toObject: { virtuals: true, getters: true }
+});
+
+variantSchema.virtual('availableQuantity').get(function() {
+  return Math.max(0, (this.stockQuantity || 0) - (this.reservedQuantity || 0));
+});
+
+// Carbon footprint scales with the number of base units in the pack
+variantSchema.virtual('carbonFootprint').get(function() {
+  const product = this.parent();
+  const footprint = (product && product.carbonFootprint) || {};
+  return {
+    individual: (footprint.individual || 0) * this.packSize,
+    community: (footprint.community || 0) * this.packSize
+  };
+});
+
 const productSchema = new mongoose.Schema({
+  // Stock keeping unit, used to match rows in catalog imports
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    unique: true,
+    sparse: true
+  },
   name: {
     type: String,
     required: true,
@@ -52,6 +161,20 @@ const productSchema = new mongoose.Schema({
     min: 0,
     max: 50
   },
+  // Price breaks on community carts, by combined units ordered community-wide
+  volumeTiers: [{
+    minQuantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    discountPercentage: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 50
+    }
+  }],
   popularityScore: {
     type: Number,
     default: 1.0,
@@ -61,6 +184,12 @@ const productSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Tax class for this product; when unset the class covering its category applies
+  taxClass: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
   imageUrl: {
     type: String
   },
@@ -68,6 +197,19 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Units on hand in the warehouse
+  stockQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Units held for placed orders and locked community carts
+  reservedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  variants: [variantSchema],
   carbonFootprint: {
     individual: {
       type: Number,
@@ -83,9 +225,23 @@ const productSchema = new mongoose.Schema({
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Units that can still be added to carts
+productSchema.virtual('availableQuantity').get(function() {
+  return Math.max(0, (this.stockQuantity || 0) - (this.reservedQuantity || 0));
 });
 
+// Full-text search over name and description, name weighted higher
+productSchema.index(
+  { name: 'text', description: 'text' },
+  { weights: { name: 5, description: 1 } }
+);
+productSchema.index({ category: 1, discountedPrice: 1 });
+
 // Pre-save hook to calculate discountedPrice based on price and discountPercentage
 productSchema.pre('save', function(next) {
   // If discountPercentage is set, calculate and set the discountedPrice
@@ -95,9 +251,46 @@ productSchema.pre('save', function(next) {
     // If no discount, discountedPrice equals the regular price
     this.discountedPrice = this.price;
   }
+  
+  // Keep price-break tiers in ascending order of quantity
+  this.volumeTiers.sort((a, b) => a.minQuantity - b.minQuantity);
+  
   next();
 });
 
+// Method to get what a cart or order line actually sells: the variant when
+// one is given, otherwise the product itself. Both expose price, costs,
+// dimensions, stock and carbon footprint the same way.
+productSchema.methods.getUnit = function(variantId) {
+  if (!variantId) {
+    return this;
+  }
+  
+  return this.variants.id(variantId);
+};
+
+// Method to find the volume tier reached by a community-wide quantity and the next one to aim for
+productSchema.methods.getVolumeTier = function(quantity) {
+  let currentTier = null;
+  let nextTier = null;
+  
+  [...this.volumeTiers]
+    .sort((a, b) => a.minQuantity - b.minQuantity)
+    .forEach(tier => {
+      if (quantity >= tier.minQuantity) {
+        currentTier = tier;
+      } else if (!nextTier) {
+        nextTier = tier;
+      }
+    });
+  
+  return {
+    currentTier,
+    nextTier,
+    unitsToNextTier: nextTier ? nextTier.minQuantity - quantity : 0
+  };
+};
+
 const Product = mongoose.model('Product', productSchema);
 
 module.exports = Product;
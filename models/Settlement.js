@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Ledger of what each member owes for a checked-out community cart
+const settlementSchema = new mongoose.Schema({
+  community: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Community',
+    required: true
+  },
+  communityCart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommunityCart',
+    required: true
+  },
+  deliveryCycle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryCycle'
+  },
+  deliveryFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  shares: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    // Member's discounted item cost
+    itemsAmount: {
+      type: Number,
+      required: true
+    },
+    tax: {
+      type: Number,
+      default: 0
+    },
+    // Pro-rata share of the delivery fee, by item cost
+    deliveryFeeShare: {
+      type: Number,
+      default: 0
+    },
+    amountDue: {
+      type: Number,
+      required: true
+    },
+    amountPaid: {
+      type: Number,
+      default: 0
+    },
+    // cancelled: the member's order was cancelled and nothing is owed
+    paymentStatus: {
+      type: String,
+      enum: ['pending', 'paid', 'failed', 'cancelled'],
+      default: 'pending'
+    },
+    paymentTransactionId: {
+      type: String
+    },
+    paidAt: {
+      type: Date
+    },
+    lastReminderAt: {
+      type: Date
+    }
+  }],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'settled'],
+    default: 'open'
+  }
+}, {
+  timestamps: true
+});
+
+// Pre-save middleware to keep the totals and overall status in step with the shares
+settlementSchema.pre('save', function(next) {
+  const settlement = this;
+  
+  settlement.totalAmount = settlement.shares.reduce((sum, share) => sum + share.amountDue, 0);
+  settlement.status = settlement.shares.every(share => share.isClosed()) ? 'settled' : 'open';
+  
+  next();
+});
+
+// Method to check whether a share needs no further payment
+settlementSchema.path('shares').schema.methods.isClosed = function() {
+  return this.paymentStatus === 'paid' || this.paymentStatus === 'cancelled';
+};
+
+// Method to sum what members still owe
+settlementSchema.methods.getOutstandingBalance = function() {
+  return this.shares
+    .filter(share => !share.isClosed())
+    .reduce((sum, share) => sum + (share.amountDue - share.amountPaid), 0);
+};
+
+const Settlement = mongoose.model('Settlement', settlementSchema);
+
+module.exports = Settlement;
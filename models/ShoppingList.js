@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Named list of products a user buys regularly
+const shoppingListSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Pack size variant of the product, if one was chosen
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
+  // Set each time the list is added to a cart
+  lastUsedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+shoppingListSchema.index({ user: 1, name: 1 }, { unique: true });
+
+const ShoppingList = mongoose.model('ShoppingList', shoppingListSchema);
+
+module.exports = ShoppingList;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Audit trail of manual stock changes made by Walmart users
+const stockAdjustmentSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Set when the adjustment is for one of the product's variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  adjustedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  change: {
+    type: Number,
+    required: true
+  },
+  previousQuantity: {
+    type: Number,
+    required: true
+  },
+  newQuantity: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const StockAdjustment = mongoose.model('StockAdjustment', stockAdjustmentSchema);
+
+module.exports = StockAdjustment;
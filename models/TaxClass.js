@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Named tax class covering a set of product categories
+const taxClassSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  description: {
+    type: String
+  },
+  // Products in these categories use this class unless they set their own taxClass
+  categories: [{
+    type: String,
+    trim: true
+  }]
+}, {
+  timestamps: true
+});
+
+const TaxClass = mongoose.model('TaxClass', taxClassSchema);
+
+module.exports = TaxClass;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Sales tax rate for a state, or for a single zip code within it
+const taxRateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // Leave unset for the state-wide rate; a zip code rate takes precedence
+  zipCode: {
+    type: String,
+    trim: true
+  },
+  // Percentage applied to the standard tax class
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Percentages for other tax classes, e.g. { taxClass: 'grocery', rate: 0 }
+  classRates: [{
+    taxClass: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    }
+  }],
+  description: {
+    type: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+taxRateSchema.index({ state: 1, zipCode: 1 }, { unique: true });
+
+// Method to get the percentage for a tax class, falling back to the standard rate
+taxRateSchema.methods.getRateForClass = function(taxClass) {
+  const classRate = this.classRates.find(entry => entry.taxClass === taxClass);
+  return classRate ? classRate.rate : this.rate;
+};
+
+// Static method to find the active rate for an address; a zip code rate wins over the state rate
+taxRateSchema.statics.findForAddress = async function(address) {
+  if (!address) {
+    return null;
+  }
+  
+  if (address.zipCode) {
+    const zipRate = await this.findOne({ zipCode: address.zipCode.trim(), isActive: true });
+    if (zipRate) {
+      return zipRate;
+    }
+  }
+  
+  if (!address.state) {
+    return null;
+  }
+  
+  return this.findOne({
+    state: address.state.trim().toUpperCase(),
+    zipCode: { $in: [null, ''] },
+    isActive: true
+  });
+};
+
+const TaxRate = mongoose.model('TaxRate', taxRateSchema);
+
+module.exports = TaxRate;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Centre of a zip code, used to search near a zip code without coordinates.
+// Loaded with seeds/importZipCodes.js.
+const zipCodeSchema = new mongoose.Schema({
+  zipCode: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  latitude: {
+    type: Number,
+    required: true,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: true,
+    min: -180,
+    max: 180
+  }
+}, {
+  timestamps: true
+});
+
+const ZipCode = mongoose.model('ZipCode', zipCodeSchema);
+
+module.exports = ZipCode;
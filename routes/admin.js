@@ -3,6 +3,8 @@ const { walmartAuth } = require('../middleware/auth');
 const Order = require('../models/Order');
 const Community = require('../models/Community');
 const User = require('../models/User');
+const CommunityCart = require('../models/CommunityCart');
+const DeliveryCycle = require('../models/DeliveryCycle');
 const router = express.Router();
 
 // Get dashboard data for Walmart admin
@@ -91,10 +93,7 @@ router.get('/communities', walmartAuth, async (req, res) => {
     
     const communitiesWithStats = await Promise.all(communities.map(async (community) => {
       // Get active cart
-      const activeCart = await CommunityCart.findOne({ 
-        community: community._id,
-        isLocked: false 
-      });
+      const activeCart = await CommunityCart.findActive(community._id);
       
       // Get upcoming delivery cycle
       const today = new Date();
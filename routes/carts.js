@@ -1,8 +1,12 @@
 const express = require('express');
 const { auth } = require('../middleware/auth');
 const Cart = require('../models/Cart');
+const Coupon = require('../models/Coupon');
 const Product = require('../models/Product');
 const User = require('../models/User');
+const { checkAvailability, isSameLine } = require('../utils/inventory');
+const { priceLines } = require('../utils/pricing');
+const { checkCoupon } = require('../utils/coupons');
 const router = express.Router();
 
 // Get user's cart
@@ -26,7 +30,7 @@ router.get('/', auth, async (req, res) => {
 // Add item to cart
 router.post('/add-item', auth, async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
     
     // Validate product exists
     const product = await Product.findById(productId);
@@ -34,6 +38,12 @@ router.post('/add-item', auth, async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
     
+    // Lines without a variant buy the product itself
+    const unit = product.getUnit(variantId);
+    if (!unit || unit.isActive === false) {
+      return res.status(404).json({ message: 'Product variant not found' });
+    }
+    
     // Get user's cart or create new one
     let cart = await Cart.findOne({ user: req.user.id });
     
@@ -43,15 +53,24 @@ router.post('/add-item', auth, async (req, res) => {
     
     // Check if item already in cart
     const itemIndex = cart.items.findIndex(
-      item => item.product.toString() === productId
+      item => isSameLine(item, productId, variantId)
     );
     
+    // Check stock for the line's new quantity
+    const lineQuantity = quantity + (itemIndex > -1 ? cart.items[itemIndex].quantity : 0);
+    if (!checkAvailability(unit, lineQuantity)) {
+      return res.status(409).json({ 
+        message: 'Not enough stock available',
+        availableQuantity: unit.availableQuantity
+      });
+    }
+    
     if (itemIndex > -1) {
       // Update quantity if item exists
       cart.items[itemIndex].quantity += quantity;
     } else {
       // Add new item
-      cart.items.push({ product: productId, quantity });
+      cart.items.push({ product: productId, variant: variantId || undefined, quantity });
     }
     
     // Update cart's community discount if user is part of a community
@@ -75,7 +94,7 @@ router.post('/add-item', auth, async (req, res) => {
 // Update item quantity
 router.put('/update-item', auth, async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
     
     // Validate quantity
     if (quantity < 1) {
@@ -91,13 +110,26 @@ router.put('/update-item', auth, async (req, res) => {
     
     // Find the item
     const itemIndex = cart.items.findIndex(
-      item => item.product.toString() === productId
+      item => isSameLine(item, productId, variantId)
     );
     
     if (itemIndex === -1) {
       return res.status(404).json({ message: 'Item not found in cart' });
     }
     
+    const product = await Product.findById(productId);
+    const unit = product && product.getUnit(variantId);
+    if (!unit) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    if (!checkAvailability(unit, quantity)) {
+      return res.status(409).json({ 
+        message: 'Not enough stock available',
+        availableQuantity: unit.availableQuantity
+      });
+    }
+    
     // Update quantity
     cart.items[itemIndex].quantity = quantity;
     
@@ -113,10 +145,11 @@ router.put('/update-item', auth, async (req, res) => {
   }
 });
 
-// Remove item from cart
+// Remove item from cart (pass ?variantId= to remove a variant line)
 router.delete('/remove-item/:productId', auth, async (req, res) => {
   try {
     const productId = req.params.productId;
+    const { variantId } = req.query;
     
     // Get user's cart
     const cart = await Cart.findOne({ user: req.user.id });
@@ -127,7 +160,7 @@ router.delete('/remove-item/:productId', auth, async (req, res) => {
     
     // Remove the item
     cart.items = cart.items.filter(
-      item => item.product.toString() !== productId
+      item => !isSameLine(item, productId, variantId)
     );
     
     await cart.save();
@@ -163,6 +196,72 @@ router.delete('/clear', auth, async (req, res) => {
   }
 });
 
+// Apply a coupon code to the cart
+router.post('/coupon', auth, async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ message: 'Coupon code is required' });
+    }
+    
+    const cart = await Cart.findOne({ user: req.user.id })
+      .populate('items.product');
+    
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+    
+    const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    
+    // Check the coupon against the cart's current line prices
+    const result = await checkCoupon(coupon, {
+      userId: req.user.id,
+      items: cart.items,
+      pricing: priceLines(cart.items, item => cart.getLineDiscountPercentage(item))
+    });
+    
+    if (!result.valid) {
+      return res.status(400).json({ message: result.reason });
+    }
+    
+    cart.coupon = coupon._id;
+    await cart.save();
+    
+    // Return updated cart with populated products
+    const updatedCart = await Cart.findById(cart._id)
+      .populate('items.product')
+      .populate('coupon', 'code description discountType discountValue');
+    
+    res.json(updatedCart);
+  } catch (error) {
+    console.error('Error applying coupon:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove the coupon from the cart
+router.delete('/coupon', auth, async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user.id });
+    
+    if (!cart) {
+      return res.status(404).json({ message: 'Cart not found' });
+    }
+    
+    cart.coupon = undefined;
+    await cart.save();
+    
+    res.json({ message: 'Coupon removed', cart });
+  } catch (error) {
+    console.error('Error removing coupon:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get carbon footprint comparison
 router.get('/carbon-footprint', auth, async (req, res) => {
   try {
@@ -1,76 +1,265 @@
 const express = require('express');
-const { auth, walmartAuth, communityAdminAuth } = require('../middleware/auth');
+const { auth, walmartAuth, communityAuth } = require('../middleware/auth');
 const Community = require('../models/Community');
 const User = require('\../models/User');
 const Notification = require('../models/Notification');
+const CommunityInvite = require('../models/CommunityInvite');
+const {
+  isMember,
+  addMember,
+  setMemberRole,
+  removeMember,
+  transferAdmin,
+  claimInviteUse,
+  getInviteLink
+} = require('../utils/communities');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 
-// Custom middleware to verify that the user is the admin of the specific community
-const specificCommunityAdminAuth = async (req, res, next) => {
+// Search radius for nearby communities, in kilometers
+const DEFAULT_NEARBY_RADIUS_KM = 10;
+const MAX_NEARBY_RADIUS_KM = 100;
+const DEFAULT_NEARBY_PAGE_SIZE = 20;
+const MAX_NEARBY_PAGE_SIZE = 50;
+
+// Parse an optional numeric query parameter; NaN marks an invalid value
+const parseNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+// Get all communities
+router.get('/', async (req, res) => {
+  try {
+    const communities = await Community.find({ isApproved: true })
+      .populate('admin', 'name email')
+      .select('-membershipRequests');
+      
+    res.json(communities);
+  } catch (error) {
+    console.error('Error fetching communities:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Find approved communities near a point or the user's zip code, closest first
+router.get('/nearby', auth, async (req, res) => {
+  try {
+    let latitude = parseNumber(req.query.lat);
+    let longitude = parseNumber(req.query.lng);
+    const radius = parseNumber(req.query.radius) || DEFAULT_NEARBY_RADIUS_KM;
+    const page = parseNumber(req.query.page) || 1;
+    const limit = parseNumber(req.query.limit) || DEFAULT_NEARBY_PAGE_SIZE;
+    
+    if ((latitude === undefined) !== (longitude === undefined)) {
+      return res.status(400).json({ message: 'Send both lat and lng, or neither to search by zip code' });
+    }
+    
+    if (
+      (latitude !== undefined && (isNaN(latitude) || latitude < -90 || latitude > 90)) ||
+      (longitude !== undefined && (isNaN(longitude) || longitude < -180 || longitude > 180))
+    ) {
+      return res.status(400).json({ message: 'lat must be between -90 and 90 and lng between -180 and 180' });
+    }
+    
+    if (isNaN(radius) || radius <= 0 || radius > MAX_NEARBY_RADIUS_KM) {
+      return res.status(400).json({ message: `radius must be between 0 and ${MAX_NEARBY_RADIUS_KM} km` });
+    }
+    
+    if (page < 1 || limit < 1 || !Number.isInteger(page) || !Number.isInteger(limit)) {
+      return res.status(400).json({ message: 'page and limit must be positive whole numbers' });
+    }
+    
+    // Without coordinates, search around the given zip code or the user's own
+    if (latitude === undefined) {
+      const zipCode = req.query.zipCode || (req.user.address && req.user.address.zipCode);
+      
+      if (!zipCode) {
+        return res.status(400).json({ message: 'Send lat and lng, or a zipCode, or add a zip code to your address' });
+      }
+      
+      const position = await Community.locateZipCode(zipCode);
+      
+      if (!position) {
+        return res.status(404).json({ message: `Could not locate zip code ${zipCode}; send lat and lng instead` });
+      }
+      
+      [longitude, latitude] = position;
+    }
+    
+    const pageSize = Math.min(limit, MAX_NEARBY_PAGE_SIZE);
+    
+    const [result] = await Community.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: [longitude, latitude] },
+          key: 'location.point',
+          distanceField: 'distance',
+          maxDistance: radius * 1000,
+          spherical: true,
+          query: { isApproved: true }
+        }
+      },
+      {
+        $facet: {
+          communities: [
+            { $skip: (page - 1) * pageSize },
+            { $limit: pageSize },
+            {
+              $project: {
+                name: 1,
+                description: 1,
+                'location.address': 1,
+                'location.city': 1,
+                'location.state': 1,
+                'location.zipCode': 1,
+                'location.coordinates': 1,
+                admin: 1,
+                totalCarbonFootprintSaved: 1,
+                memberCount: { $size: '$members' },
+                distanceKm: { $round: [{ $divide: ['$distance', 1000] }, 2] }
+              }
+            }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+    
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+    
+    res.json({
+      origin: { lat: latitude, lng: longitude },
+      radius,
+      communities: result.communities,
+      pagination: {
+        page,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Error finding nearby communities:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Look up an invite code before joining; shows which community it is for
+router.get('/invites/:code', async (req, res) => {
+  try {
+    const invite = await CommunityInvite.findOne({ code: req.params.code.toUpperCase() })
+      .populate('community', 'name description location.city location.state location.zipCode');
+    
+    if (!invite || !invite.community) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+    
+    res.json({
+      code: invite.code,
+      community: invite.community,
+      autoApprove: invite.autoApprove,
+      expiresAt: invite.expiresAt,
+      isValid: invite.isRedeemableAt()
+    });
+  } catch (error) {
+    console.error('Error fetching invite:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Join a community with an invite code
+router.post('/invites/:code/redeem', auth, async (req, res) => {
   try {
-    // First do regular auth
-    const token = req.header('Authorization').replace('Bearer ', '');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id);
+    const invite = await CommunityInvite.findOne({ code: req.params.code.toUpperCase() });
     
-    if (!user) {
-      return res.status(401).json({ message: 'Not authorized' });
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
     }
     
-    req.token = token;
-    req.user = user;
+    if (!invite.isRedeemableAt()) {
+      return res.status(400).json({ message: 'This invite has expired or is no longer valid' });
+    }
     
-    // Then check if the user is the admin of the community
-    const communityId = req.params.id;
-    const community = await Community.findById(communityId);
+    const community = await Community.findById(invite.community);
     
     if (!community) {
       return res.status(404).json({ message: 'Community not found' });
     }
     
-    // Check if the current user is the admin - two ways to verify:
-    // 1. Check if user is listed as community's admin
-    // 2. Check if user has isCommunityAdmin flag AND their community ID matches
-    const isCommAdmin = community.admin.toString() === user._id.toString();
-    const hasCommAdminFlag = user.isCommunityAdmin && user.community && user.community.toString() === community._id.toString();
+    if (isMember(community, req.user._id)) {
+      return res.status(400).json({ message: 'You are already a member of this community' });
+    }
     
-    if (!isCommAdmin && !hasCommAdminFlag) {
-      console.log('Auth failed:', {
-        userId: user._id.toString(), 
-        communityAdminId: community.admin.toString(),
-        userIsCommunityAdmin: user.isCommunityAdmin,
-        userCommunity: user.community ? user.community.toString() : null,
-        communityId: community._id.toString()
+    // Joining would take the user away from their community without the leave flow
+    if (req.user.community && req.user.community.toString() !== community._id.toString()) {
+      return res.status(400).json({ 
+        message: `You are already a member of another community. Leave it with POST /api/communities/${req.user.community}/leave before joining a new one.`
       });
-      return res.status(403).json({ message: 'You are not the admin of this community' });
     }
     
-    // If admin status mismatch, update the user record to be consistent
-    if (isCommAdmin && !user.isCommunityAdmin) {
-      console.log(`Updating user ${user._id} to set isCommunityAdmin to true`);
-      await User.findByIdAndUpdate(user._id, { isCommunityAdmin: true });
+    // An auto-approving invite settles a request that is already pending
+    const pendingRequest = community.membershipRequests.find(
+      request => request.user.toString() === req.user.id && request.status === 'pending'
+    );
+    
+    if (pendingRequest && !invite.autoApprove) {
+      return res.status(400).json({ 
+        message: 'You have already requested to join this community. Status: pending' 
+      });
     }
     
-    // Add community to req for convenience
-    req.community = community;
-    next();
-  } catch (error) {
-    console.error('Auth error:', error);
-    res.status(401).json({ message: 'Not authorized' });
-  }
-};
-
-// Get all communities
-router.get('/', async (req, res) => {
-  try {
-    const communities = await Community.find({ isApproved: true })
-      .populate('admin', 'name email')
-      .select('-membershipRequests');
-      
-    res.json(communities);
+    const claimed = await claimInviteUse(invite._id);
+    if (!claimed) {
+      return res.status(400).json({ message: 'This invite has expired or is no longer valid' });
+    }
+    
+    const status = invite.autoApprove ? 'approved' : 'pending';
+    
+    // Record the redemption as a membership request so the history is kept
+    if (pendingRequest) {
+      pendingRequest.status = status;
+      pendingRequest.invite = invite._id;
+    } else {
+      community.membershipRequests.push({
+        user: req.user._id,
+        reason: (req.body || {}).reason || `Joined with invite code ${invite.code}`,
+        status,
+        invite: invite._id
+      });
+    }
+    
+    if (invite.autoApprove) {
+      await addMember(community, req.user._id);
+    }
+    
+    await community.save();
+    
+    // Let the admin know
+    try {
+      await Notification.create({
+        recipient: community.admin,
+        type: invite.autoApprove ? 'member_joined' : 'new_membership_request',
+        title: invite.autoApprove ? 'New Member' : 'New Join Request',
+        message: invite.autoApprove
+          ? `${req.user.name} (${req.user.email}) has joined ${community.name} with invite code ${invite.code}.`
+          : `${req.user.name} (${req.user.email}) has requested to join your community ${community.name} with invite code ${invite.code}.`,
+        relatedId: community._id,
+        onModel: 'Community'
+      });
+    } catch (notifError) {
+      console.error('Error creating notification:', notifError);
+      // Don't fail the request if notification fails
+    }
+    
+    res.json({ 
+      message: invite.autoApprove
+        ? `You have joined ${community.name}`
+        : 'Membership request submitted successfully',
+      status,
+      community: {
+        _id: community._id,
+        name: community.name
+      }
+    });
   } catch (error) {
-    console.error('Error fetching communities:', error.message);
+    console.error('Error redeeming invite:', error.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -80,7 +269,8 @@ router.get('/:id', async (req, res) => {
   try {
     const community = await Community.findById(req.params.id)
       .populate('admin', 'name email')
-      .populate('members', 'name email');
+      .populate('members', 'name email')
+      .populate('roles.user', 'name email');
       
     if (!community) {
       return res.status(404).json({ message: 'Community not found' });
@@ -219,9 +409,9 @@ router.post('/:id/join', auth, async (req, res) => {
       return res.status(400).json({ message: 'You are already a member of this community' });
     }
     
-    // Check if already requested
+    // Check if already requested; former members whose request was approved can ask again
     const existingRequest = community.membershipRequests.find(
-      request => request.user.toString() === req.user.id
+      request => request.user.toString() === req.user.id && request.status !== 'approved'
     );
     
     if (existingRequest) {
@@ -271,8 +461,8 @@ router.post('/:id/join', auth, async (req, res) => {
   }
 });
 
-// Approve/reject join request (community admin only)
-router.put('/:id/requests/:requestId', specificCommunityAdminAuth, async (req, res) => {
+// Approve/reject join request (approve_requests permission)
+router.put('/:id/requests/:requestId', communityAuth('approve_requests', 'id'), async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -281,7 +471,7 @@ router.put('/:id/requests/:requestId', specificCommunityAdminAuth, async (req, r
     }
     
     // Log who's making this request for debugging purposes
-    console.log(`Processing membership request by admin ${req.user._id}, isCommunityAdmin=${req.user.isCommunityAdmin}`);
+    console.log(`Processing membership request by ${req.communityRole} ${req.user._id}`);
     
     // We already have the community in req.community from the middleware
     const community = req.community;
@@ -343,6 +533,303 @@ router.put('/:id/requests/:requestId', specificCommunityAdminAuth, async (req, r
   }
 });
 
+// Leave a community
+router.post('/:id/leave', auth, async (req, res) => {
+  try {
+    const community = await Community.findById(req.params.id);
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!isMember(community, req.user._id)) {
+      return res.status(400).json({ message: 'You are not a member of this community' });
+    }
+    
+    if (community.admin.toString() === req.user.id) {
+      return res.status(400).json({ message: 'Transfer ownership to another member before leaving' });
+    }
+    
+    const { withdrawnLines } = await removeMember(community, req.user._id, { reason: (req.body || {}).reason });
+    
+    // Let the admin know
+    try {
+      await Notification.create({
+        recipient: community.admin,
+        type: 'member_left',
+        title: 'Member Left',
+        message: `${req.user.name} has left ${community.name}.`,
+        relatedId: community._id,
+        onModel: 'Community'
+      });
+    } catch (notifError) {
+      console.error('Error creating notification:', notifError);
+      // Don't fail the request if notification fails
+    }
+    
+    res.json({ 
+      message: `You have left ${community.name}`,
+      withdrawnCartLines: withdrawnLines
+    });
+  } catch (error) {
+    console.error('Error leaving community:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a member with a lower role from the community (remove_members permission)
+router.delete('/:id/members/:userId', communityAuth('remove_members', 'id'), async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const community = req.community;
+    
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ message: 'A reason is required to remove a member' });
+    }
+    
+    const memberRole = community.getMemberRole(req.params.userId);
+    
+    if (!memberRole) {
+      return res.status(404).json({ message: 'Member not found in this community' });
+    }
+    
+    if (memberRole === 'owner') {
+      return res.status(400).json({ message: 'The owner cannot be removed; transfer ownership first' });
+    }
+    
+    if (!Community.outranks(req.communityRole, memberRole)) {
+      return res.status(403).json({ message: 'You can only remove members with a lower role than yours' });
+    }
+    
+    const { withdrawnLines } = await removeMember(community, req.params.userId, {
+      removedBy: req.user._id,
+      reason: reason.trim()
+    });
+    
+    // Tell the member why they were removed
+    try {
+      await Notification.create({
+        recipient: req.params.userId,
+        type: 'member_removed',
+        title: 'Removed from Community',
+        message: `You have been removed from ${community.name}. Reason: ${reason.trim()}`,
+        relatedId: community._id,
+        onModel: 'Community'
+      });
+    } catch (notifError) {
+      console.error('Error creating notification:', notifError);
+      // Don't fail the request if notification fails
+    }
+    
+    res.json({ 
+      message: 'Member removed',
+      withdrawnCartLines: withdrawnLines
+    });
+  } catch (error) {
+    console.error('Error removing community member:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Community or member not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Hand ownership of the community to another member (owner only)
+router.put('/:id/admin', communityAuth('transfer_ownership', 'id'), async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const community = req.community;
+    
+    if (!userId) {
+      return res.status(400).json({ message: 'userId of the new owner is required' });
+    }
+    
+    if (!isMember(community, userId)) {
+      return res.status(400).json({ message: 'The new owner must be a member of this community' });
+    }
+    
+    if (community.admin.toString() === userId.toString()) {
+      return res.status(400).json({ message: 'This member is already the owner' });
+    }
+    
+    await transferAdmin(community, userId);
+    
+    try {
+      await Notification.create({
+        recipient: userId,
+        type: 'admin_transferred',
+        title: 'You Are Now Community Owner',
+        message: `${req.user.name} has made you the owner of ${community.name}.`,
+        relatedId: community._id,
+        onModel: 'Community'
+      });
+    } catch (notifError) {
+      console.error('Error creating notification:', notifError);
+      // Don't fail the request if notification fails
+    }
+    
+    await community.populate('admin', 'name email');
+    
+    res.json({ 
+      message: 'Ownership transferred',
+      community
+    });
+  } catch (error) {
+    console.error('Error transferring community ownership:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Community or member not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set a member's role to admin, moderator or member (manage_roles permission)
+router.put('/:id/roles/:userId', communityAuth('manage_roles', 'id'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const community = req.community;
+    
+    if (!['admin', 'moderator', 'member'].includes(role)) {
+      return res.status(400).json({ message: 'Role must be admin, moderator or member' });
+    }
+    
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+    
+    const currentRole = community.getMemberRole(req.params.userId);
+    
+    if (!currentRole) {
+      return res.status(404).json({ message: 'Member not found in this community' });
+    }
+    
+    if (currentRole === role) {
+      return res.status(400).json({ message: `This member is already a ${role}` });
+    }
+    
+    // Roles can only be changed and handed out below your own
+    if (!Community.outranks(req.communityRole, currentRole) || !Community.outranks(req.communityRole, role)) {
+      return res.status(403).json({ message: 'You can only assign roles lower than your own' });
+    }
+    
+    await setMemberRole(community, req.params.userId, role, req.user._id);
+    
+    try {
+      await Notification.create({
+        recipient: req.params.userId,
+        type: 'role_changed',
+        title: 'Community Role Changed',
+        message: `${req.user.name} has made you a ${role} of ${community.name}.`,
+        relatedId: community._id,
+        onModel: 'Community'
+      });
+    } catch (notifError) {
+      console.error('Error creating notification:', notifError);
+      // Don't fail the request if notification fails
+    }
+    
+    await community.populate('roles.user', 'name email');
+    
+    res.json({ 
+      message: `Role updated to ${role}`,
+      roles: community.roles
+    });
+  } catch (error) {
+    console.error('Error updating community role:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Community or member not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid role', error: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create an invite code (manage_invites permission)
+router.post('/:id/invites', communityAuth('manage_invites', 'id'), async (req, res) => {
+  try {
+    const { expiresAt, maxUses, autoApprove } = req.body;
+    const community = req.community;
+    
+    if (!community.isApproved) {
+      return res.status(400).json({ message: 'Community must be approved before inviting members' });
+    }
+    
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return res.status(400).json({ message: 'expiresAt must be in the future' });
+    }
+    
+    const invite = new CommunityInvite({
+      community: community._id,
+      createdBy: req.user._id,
+      expiresAt,
+      maxUses,
+      autoApprove: Boolean(autoApprove)
+    });
+    
+    await invite.save();
+    
+    res.status(201).json({
+      ...invite.toObject(),
+      link: getInviteLink(invite.code)
+    });
+  } catch (error) {
+    console.error('Error creating invite:', error.message);
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid invite', error: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the community's invite codes (manage_invites permission)
+router.get('/:id/invites', communityAuth('manage_invites', 'id'), async (req, res) => {
+  try {
+    const invites = await CommunityInvite.find({ community: req.community._id })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+    
+    res.json(invites.map(invite => ({
+      ...invite.toObject(),
+      isValid: invite.isRedeemableAt(),
+      link: getInviteLink(invite.code)
+    })));
+  } catch (error) {
+    console.error('Error fetching invites:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke an invite code (manage_invites permission)
+router.delete('/:id/invites/:inviteId', communityAuth('manage_invites', 'id'), async (req, res) => {
+  try {
+    const invite = await CommunityInvite.findOne({
+      _id: req.params.inviteId,
+      community: req.community._id
+    });
+    
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+    
+    invite.isActive = false;
+    invite.revokedAt = new Date();
+    await invite.save();
+    
+    res.json({ message: 'Invite revoked', invite });
+  } catch (error) {
+    console.error('Error revoking invite:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get pending community approval requests (walmart only)
 router.get('/approval/pending', walmartAuth, async (req, res) => {
   try {
@@ -377,8 +864,8 @@ router.get('/:id/carbon-footprint', auth, async (req, res) => {
   }
 });
 
-// Get membership requests (community admin only)
-router.get('/:id/membership-requests', specificCommunityAdminAuth, async (req, res) => {
+// Get membership requests (approve_requests permission)
+router.get('/:id/membership-requests', communityAuth('approve_requests', 'id'), async (req, res) => {
   try {
     console.log(`Fetching membership requests for community: ${req.params.id}`);
     console.log(`Requesting user ID: ${req.user.id}`);
@@ -395,13 +882,6 @@ router.get('/:id/membership-requests', specificCommunityAdminAuth, async (req, r
       return res.status(404).json({ message: 'Community not found' });
     }
     
-    // Verify user is admin of this community
-    if (community.admin.toString() !== req.user.id) {
-      console.log(`User ${req.user.id} is not the admin of community ${req.params.id}`);
-      console.log(`Community admin is: ${community.admin}`);
-      return res.status(403).json({ message: 'You are not the admin of this community' });
-    }
-    
     // Check if there are any membership requests at all
     if (!community.membershipRequests || community.membershipRequests.length === 0) {
       console.log('No membership requests found in this community');
@@ -433,8 +913,8 @@ router.get('/:id/membership-requests', specificCommunityAdminAuth, async (req, r
   }
 });
 
-// Handle membership request (community admin only)
-router.put('/:id/membership-requests/:userId', specificCommunityAdminAuth, async (req, res) => {
+// Handle membership request (approve_requests permission)
+router.put('/:id/membership-requests/:userId', communityAuth('approve_requests', 'id'), async (req, res) => {
   try {
     const { status } = req.body;
     
@@ -448,14 +928,9 @@ router.put('/:id/membership-requests/:userId', specificCommunityAdminAuth, async
       return res.status(404).json({ message: 'Community not found' });
     }
     
-    // Verify user is admin of this community
-    if (community.admin.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'You are not the admin of this community' });
-    }
-    
-    // Find the request
+    // Find the user's pending request; earlier ones may be from a past membership
     const requestIndex = community.membershipRequests.findIndex(
-      request => request.user.toString() === req.params.userId
+      request => request.user.toString() === req.params.userId && request.status === 'pending'
     );
     
     if (requestIndex === -1) {
@@ -1,10 +1,38 @@
 const express = require('express');
-const { auth, communityAdminAuth } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { auth, communityAuth } = require('../middleware/auth');
 const CommunityCart = require('../models/CommunityCart');
 const Community = require('../models/Community');
 const Product = require('../models/Product');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const DeliveryCycle = require('../models/DeliveryCycle');
+const Notification = require('../models/Notification');
+const Coupon = require('../models/Coupon');
+const { lockCommunityCart, ensureContributions, findContribution, CommunityCartCheckedOutError } = require('../utils/communityCarts');
+const { createSettlement } = require('../utils/settlements');
+const { checkAvailability, isSameLine, getLineUnit, reserveStock, releaseStock, InsufficientStockError } = require('../utils/inventory');
+const { priceLines, toOrderItem, getCouponEligibleAmount, splitProportionally, getDeliveryFee } = require('../utils/pricing');
+const { checkCoupon, claimCouponUse, CouponUnavailableError } = require('../utils/coupons');
+const { calculateCharges } = require('../utils/taxes');
 const router = express.Router();
 
+// Members whose cart lines a coupon would discount
+const getCouponMembers = (coupon, items) => {
+  const memberIds = new Set();
+  
+  items.forEach(item => {
+    if (!item.product || !coupon.appliesTo(item.product)) {
+      return;
+    }
+    
+    ensureContributions(item);
+    item.contributions.forEach(contribution => memberIds.add(contribution.user.toString()));
+  });
+  
+  return [...memberIds];
+};
+
 // Get community cart for user's community
 router.get('/my-community', auth, async (req, res) => {
   try {
@@ -14,10 +42,10 @@ router.get('/my-community', auth, async (req, res) => {
     }
     
     // Get active community cart
-    const communityCart = await CommunityCart.findOne({ 
-      community: req.user.community,
-      isLocked: false
-    }).populate('items.product').populate('items.addedBy', 'name');
+    const communityCart = await CommunityCart.findActive(req.user.community)
+      .populate('items.product')
+      .populate('items.addedBy', 'name')
+      .populate('items.contributions.user', 'name');
     
     if (!communityCart) {
       // Create a new community cart if none exists
@@ -40,10 +68,10 @@ router.get('/my-community', auth, async (req, res) => {
 // Get community cart by community ID
 router.get('/community/:communityId', auth, async (req, res) => {
   try {
-    const communityCart = await CommunityCart.findOne({ 
-      community: req.params.communityId,
-      isLocked: false
-    }).populate('items.product').populate('items.addedBy', 'name');
+    const communityCart = await CommunityCart.findActive(req.params.communityId)
+      .populate('items.product')
+      .populate('items.addedBy', 'name')
+      .populate('items.contributions.user', 'name');
     
     if (!communityCart) {
       return res.status(404).json({ message: 'Community cart not found' });
@@ -62,7 +90,15 @@ router.get('/community/:communityId', auth, async (req, res) => {
 // Add item to community cart
 router.post('/add-item', auth, async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
+    
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ message: 'Quantity must be a positive whole number' });
+    }
+    
+    if (!mongoose.isValidObjectId(productId) || (variantId && !mongoose.isValidObjectId(variantId))) {
+      return res.status(400).json({ message: 'Invalid product or variant ID' });
+    }
     
     // Check if user is in a community
     if (!req.user.community) {
@@ -75,11 +111,14 @@ router.post('/add-item', auth, async (req, res) => {
       return res.status(404).json({ message: 'Product not found' });
     }
     
+    // Lines without a variant buy the product itself
+    const unit = product.getUnit(variantId);
+    if (!unit || unit.isActive === false) {
+      return res.status(404).json({ message: 'Product variant not found' });
+    }
+    
     // Get or create community cart
-    let communityCart = await CommunityCart.findOne({ 
-      community: req.user.community,
-      isLocked: false
-    });
+    let communityCart = await CommunityCart.findActive(req.user.community);
     
     if (!communityCart) {
       communityCart = new CommunityCart({
@@ -90,24 +129,44 @@ router.post('/add-item', auth, async (req, res) => {
     
     // Check if product already in cart
     const itemIndex = communityCart.items.findIndex(
-      item => item.product.toString() === productId
+      item => isSameLine(item, productId, variantId)
     );
     
+    // Stock is checked against the whole community's line
+    const lineQuantity = quantity + (itemIndex > -1 ? communityCart.items[itemIndex].quantity : 0);
+    if (!checkAvailability(unit, lineQuantity)) {
+      return res.status(409).json({ 
+        message: 'Not enough stock available',
+        availableQuantity: unit.availableQuantity
+      });
+    }
+    
     if (itemIndex > -1) {
-      // Update quantity if product exists
-      communityCart.items[itemIndex].quantity += quantity;
+      // Add to this member's share of the existing line
+      const item = communityCart.items[itemIndex];
+      ensureContributions(item);
+      
+      const contribution = findContribution(item, req.user.id);
+      if (contribution) {
+        contribution.quantity += quantity;
+      } else {
+        item.contributions.push({ user: req.user.id, quantity });
+      }
     } else {
       // Add new item
       communityCart.items.push({
         product: productId,
+        variant: variantId || undefined,
         quantity,
-        addedBy: req.user.id
+        addedBy: req.user.id,
+        contributions: [{ user: req.user.id, quantity }]
       });
     }
     
     await communityCart.save();
     await communityCart.populate('items.product');
     await communityCart.populate('items.addedBy', 'name');
+    await communityCart.populate('items.contributions.user', 'name');
     
     res.json({
       message: 'Item added to community cart',
@@ -122,7 +181,15 @@ router.post('/add-item', auth, async (req, res) => {
 // Update item in community cart
 router.put('/update-item', auth, async (req, res) => {
   try {
-    const { productId, quantity } = req.body;
+    const { productId, variantId, quantity } = req.body;
+    
+    if (!Number.isInteger(quantity)) {
+      return res.status(400).json({ message: 'Quantity must be a whole number' });
+    }
+    
+    if (!mongoose.isValidObjectId(productId) || (variantId && !mongoose.isValidObjectId(variantId))) {
+      return res.status(400).json({ message: 'Invalid product or variant ID' });
+    }
     
     // Check if user is in a community
     if (!req.user.community) {
@@ -130,10 +197,7 @@ router.put('/update-item', auth, async (req, res) => {
     }
     
     // Get community cart
-    const communityCart = await CommunityCart.findOne({ 
-      community: req.user.community,
-      isLocked: false
-    });
+    const communityCart = await CommunityCart.findActive(req.user.community);
     
     if (!communityCart) {
       return res.status(404).json({ message: 'Community cart not found' });
@@ -141,24 +205,51 @@ router.put('/update-item', auth, async (req, res) => {
     
     // Find item
     const itemIndex = communityCart.items.findIndex(
-      item => item.product.toString() === productId
+      item => isSameLine(item, productId, variantId)
     );
     
     if (itemIndex === -1) {
       return res.status(404).json({ message: 'Item not found in community cart' });
     }
     
-    // Update quantity
-    communityCart.items[itemIndex].quantity = quantity;
+    // Only the requesting member's share of the line can be changed
+    const item = communityCart.items[itemIndex];
+    ensureContributions(item);
+    
+    const contribution = findContribution(item, req.user.id);
+    if (!contribution) {
+      return res.status(403).json({ message: 'You have not added this item to the community cart' });
+    }
+    
+    if (quantity > contribution.quantity) {
+      const product = await Product.findById(productId);
+      const unit = product && product.getUnit(variantId);
+      const lineQuantity = item.quantity - contribution.quantity + quantity;
+      
+      if (unit && !checkAvailability(unit, lineQuantity)) {
+        return res.status(409).json({ 
+          message: 'Not enough stock available',
+          availableQuantity: unit.availableQuantity
+        });
+      }
+    }
     
-    // Remove item if quantity is 0
     if (quantity <= 0) {
+      // Withdraw this member's share
+      item.contributions.pull(contribution._id);
+    } else {
+      contribution.quantity = quantity;
+    }
+    
+    // Remove the line once no member is contributing to it
+    if (item.contributions.length === 0) {
       communityCart.items.splice(itemIndex, 1);
     }
     
     await communityCart.save();
     await communityCart.populate('items.product');
     await communityCart.populate('items.addedBy', 'name');
+    await communityCart.populate('items.contributions.user', 'name');
     
     res.json({
       message: 'Item updated in community cart',
@@ -170,7 +261,7 @@ router.put('/update-item', auth, async (req, res) => {
   }
 });
 
-// Remove item from community cart
+// Remove item from community cart (pass ?variantId= to remove a variant line)
 router.delete('/remove-item/:productId', auth, async (req, res) => {
   try {
     // Check if user is in a community
@@ -179,21 +270,40 @@ router.delete('/remove-item/:productId', auth, async (req, res) => {
     }
     
     // Get community cart
-    const communityCart = await CommunityCart.findOne({ 
-      community: req.user.community,
-      isLocked: false
-    });
+    const communityCart = await CommunityCart.findActive(req.user.community);
     
     if (!communityCart) {
       return res.status(404).json({ message: 'Community cart not found' });
     }
     
-    // Remove item
-    communityCart.items = communityCart.items.filter(
-      item => item.product.toString() !== req.params.productId
+    // Find item
+    const itemIndex = communityCart.items.findIndex(
+      item => isSameLine(item, req.params.productId, req.query.variantId)
     );
     
+    if (itemIndex === -1) {
+      return res.status(404).json({ message: 'Item not found in community cart' });
+    }
+    
+    // Withdraw only the requesting member's share of the line
+    const item = communityCart.items[itemIndex];
+    ensureContributions(item);
+    
+    const contribution = findContribution(item, req.user.id);
+    if (!contribution) {
+      return res.status(403).json({ message: 'You have not added this item to the community cart' });
+    }
+    
+    item.contributions.pull(contribution._id);
+    
+    if (item.contributions.length === 0) {
+      communityCart.items.splice(itemIndex, 1);
+    }
+    
     await communityCart.save();
+    await communityCart.populate('items.product');
+    await communityCart.populate('items.addedBy', 'name');
+    await communityCart.populate('items.contributions.user', 'name');
     
     res.json({
       message: 'Item removed from community cart',
@@ -205,31 +315,23 @@ router.delete('/remove-item/:productId', auth, async (req, res) => {
   }
 });
 
-// Lock community cart (community admin only)
-router.put('/lock/:communityId', communityAdminAuth, async (req, res) => {
+// Lock community cart (lock_cart permission)
+router.put('/lock/:communityId', communityAuth('lock_cart'), async (req, res) => {
   try {
-    // Verify user is admin of this community
-    if (req.user.community.toString() !== req.params.communityId) {
-      return res.status(403).json({ message: 'You are not the admin of this community' });
-    }
-    
     // Get community cart
-    const communityCart = await CommunityCart.findOne({ 
-      community: req.params.communityId,
-      isLocked: false
-    });
+    const communityCart = await CommunityCart.findActive(req.params.communityId);
     
     if (!communityCart) {
       return res.status(404).json({ message: 'Community cart not found' });
     }
     
-    // Lock the cart
-    communityCart.isLocked = true;
-    await communityCart.save();
+    // Lock the cart and open a fresh one for the next delivery
+    const { nextCart } = await lockCommunityCart(communityCart);
     
     res.json({
       message: 'Community cart has been locked for processing',
-      communityCart
+      communityCart,
+      nextCart
     });
   } catch (error) {
     console.error('Error locking community cart:', error.message);
@@ -237,4 +339,386 @@ router.put('/lock/:communityId', communityAdminAuth, async (req, res) => {
   }
 });
 
+// Apply a coupon code to the active community cart (manage_cart permission)
+router.post('/coupon/:communityId', communityAuth('manage_cart'), async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ message: 'Coupon code is required' });
+    }
+    
+    const communityCart = await CommunityCart.findActive(req.params.communityId);
+    
+    if (!communityCart) {
+      return res.status(404).json({ message: 'Community cart not found' });
+    }
+    
+    if (communityCart.items.length === 0) {
+      return res.status(400).json({ message: 'Community cart is empty' });
+    }
+    
+    const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    
+    // Check the coupon against the cart's current line prices and the
+    // members whose lines it would discount
+    await communityCart.populate('items.product');
+    const result = await checkCoupon(coupon, {
+      userIds: getCouponMembers(coupon, communityCart.items),
+      items: communityCart.items,
+      pricing: priceLines(communityCart.items, item => communityCart.getLineDiscountPercentage(item)),
+      isCommunityCart: true
+    });
+    
+    if (!result.valid) {
+      return res.status(400).json({ message: result.reason });
+    }
+    
+    communityCart.coupon = coupon._id;
+    communityCart.couponAppliedBy = req.user._id;
+    await communityCart.save();
+    
+    // Return updated cart with populated products
+    const updatedCart = await CommunityCart.findById(communityCart._id)
+      .populate('items.product')
+      .populate('items.addedBy', 'name')
+      .populate('coupon', 'code description discountType discountValue');
+    
+    res.json(updatedCart);
+  } catch (error) {
+    console.error('Error applying coupon to community cart:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove the coupon from the active community cart, or with ?cart=locked from
+// the locked cart awaiting checkout (manage_cart permission)
+router.delete('/coupon/:communityId', communityAuth('manage_cart'), async (req, res) => {
+  try {
+    const communityCart = req.query.cart === 'locked'
+      ? await CommunityCart.findAwaitingCheckout(req.params.communityId)
+      : await CommunityCart.findActive(req.params.communityId);
+    
+    if (!communityCart) {
+      return res.status(404).json({ message: 'Community cart not found' });
+    }
+    
+    communityCart.coupon = undefined;
+    communityCart.couponAppliedBy = undefined;
+    await communityCart.save();
+    
+    res.json({ message: 'Coupon removed', communityCart });
+  } catch (error) {
+    console.error('Error removing coupon from community cart:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Checkout locked community cart into per-member orders (manage_cart permission)
+router.post('/checkout/:communityId', communityAuth('manage_cart'), async (req, res) => {
+  try {
+    const { paymentMethod } = req.body;
+    const deliveryFee = req.body.deliveryFee !== undefined
+      ? Number(req.body.deliveryFee)
+      : getDeliveryFee(true);
+    
+    if (isNaN(deliveryFee) || deliveryFee < 0) {
+      return res.status(400).json({ message: 'Delivery fee must be a non-negative number' });
+    }
+    
+    // Get the most recent locked cart that has not been checked out yet
+    const communityCart = await CommunityCart.findAwaitingCheckout(req.params.communityId)
+      .populate('items.product');
+    
+    if (!communityCart) {
+      return res.status(404).json({ message: 'No locked community cart awaiting checkout' });
+    }
+    
+    if (communityCart.items.length === 0) {
+      return res.status(400).json({ message: 'Community cart is empty' });
+    }
+    
+    const community = await Community.findById(req.params.communityId);
+    
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    // Group cart lines by the members who contributed to them
+    const memberLines = new Map();
+    let unassignedItems = 0;
+    // Lines no order is placed for; their reserved stock is given back
+    const skippedLines = [];
+    
+    communityCart.items.forEach(item => {
+      ensureContributions(item);
+      
+      // Lines whose product or variant no longer exists cannot be ordered
+      const unit = getLineUnit(item);
+      
+      if (item.contributions.length === 0 || !unit) {
+        unassignedItems++;
+        if (unit) {
+          skippedLines.push({ product: item.product, variant: item.variant, quantity: item.quantity });
+        }
+        return;
+      }
+      
+      item.contributions.forEach(contribution => {
+        const memberId = contribution.user.toString();
+        if (!memberLines.has(memberId)) {
+          memberLines.set(memberId, []);
+        }
+        memberLines.get(memberId).push({
+          product: item.product,
+          variant: item.variant,
+          quantity: contribution.quantity
+        });
+      });
+    });
+    
+    if (memberLines.size === 0) {
+      return res.status(400).json({ message: 'No community cart items could be attributed to a member' });
+    }
+    
+    // Price each member's lines with the community discount and volume tier, as the cart does
+    const memberOrders = [];
+    
+    for (const [memberId, lines] of memberLines) {
+      const member = await User.findById(memberId);
+      
+      if (!member) {
+        unassignedItems += lines.length;
+        skippedLines.push(...lines);
+        continue;
+      }
+      
+      memberOrders.push({
+        member,
+        lines,
+        pricing: priceLines(lines, item => communityCart.getLineDiscountPercentage(item)),
+        couponShare: 0
+      });
+    }
+    
+    // A coupon on the cart is redeemed once and shared across the member orders
+    // in proportion to each member's eligible lines
+    let coupon = null;
+    
+    if (communityCart.coupon) {
+      coupon = await Coupon.findById(communityCart.coupon);
+      
+      const result = await checkCoupon(coupon, {
+        userIds: coupon ? getCouponMembers(coupon, communityCart.items) : [],
+        items: communityCart.items,
+        pricing: priceLines(communityCart.items, item => communityCart.getLineDiscountPercentage(item)),
+        isCommunityCart: true
+      });
+      
+      if (!result.valid) {
+        return res.status(400).json({ 
+          message: `${result.reason}. Remove the coupon with DELETE /api/community-carts/coupon/${community._id}?cart=locked to check out.`
+        });
+      }
+      
+      const eligibleAmounts = memberOrders.map(({ lines, pricing }) => getCouponEligibleAmount(coupon, lines, pricing));
+      splitProportionally(result.discountAmount, eligibleAmounts).forEach((share, index) => {
+        memberOrders[index].couponShare = share;
+      });
+    }
+    
+    // Members share the delivery fee in proportion to their item cost
+    const deliveryFeeShares = splitProportionally(
+      deliveryFee,
+      memberOrders.map(({ pricing, couponShare }) => pricing.totalPrice - couponShare)
+    );
+    
+    // Work out every member's order before anything is written
+    const memberDrafts = [];
+    let totalItems = 0;
+    let totalValue = 0;
+    let totalCarbonSaved = 0;
+    
+    for (const [index, { member, lines, pricing, couponShare }] of memberOrders.entries()) {
+      let memberCarbonSaved = 0;
+      
+      lines.forEach(item => {
+        const unit = getLineUnit(item);
+        memberCarbonSaved += (unit.carbonFootprint.individual - unit.carbonFootprint.community) * item.quantity;
+        totalItems += item.quantity;
+      });
+      
+      // Tax the member's lines where the community takes delivery
+      const charges = await calculateCharges({
+        items: lines,
+        pricing,
+        coupon,
+        couponDiscount: couponShare,
+        address: community.location,
+        deliveryFee: deliveryFeeShares[index]
+      });
+      
+      const orderItems = pricing.lines.map((line, lineIndex) => toOrderItem(line, charges.taxLines[lineIndex]));
+      
+      const order = new Order({
+        user: member._id,
+        community: community._id,
+        deliveryCycle: communityCart.deliveryCycle,
+        items: orderItems,
+        listTotal: pricing.listTotal,
+        totalSavings: pricing.totalSavings,
+        subtotal: charges.subtotal,
+        tax: charges.tax,
+        deliveryFee: charges.deliveryFee,
+        totalPrice: charges.totalPrice,
+        coupon: couponShare > 0 ? {
+          coupon: coupon._id,
+          code: coupon.code,
+          discountAmount: couponShare,
+          communityCart: communityCart._id
+        } : undefined,
+        shippingAddress: member.address && member.address.street ? member.address : {
+          street: community.location.address,
+          city: community.location.city,
+          state: community.location.state,
+          zipCode: community.location.zipCode
+        },
+        paymentMethod: paymentMethod || 'community-checkout',
+        isGroupOrder: true,
+        carbonFootprintSaved: memberCarbonSaved,
+        stockReserved: true
+      });
+      
+      memberDrafts.push({ member, order, carbonSaved: memberCarbonSaved });
+      totalValue += charges.totalPrice;
+      totalCarbonSaved += memberCarbonSaved;
+    }
+    
+    const orders = memberDrafts.map(({ order }) => order);
+    const reserveNeeded = !communityCart.stockReserved;
+    let settlement;
+    
+    // Claim the cart, hold stock, redeem the coupon and write the orders, carbon
+    // savings, cycle totals and settlement together, so a concurrent or failed
+    // checkout leaves nothing half applied
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        // Only one checkout can take the cart out of awaiting checkout
+        const claimedCart = await CommunityCart.findOneAndUpdate(
+          { _id: communityCart._id, isLocked: true, isCheckedOut: false },
+          { $set: { isCheckedOut: true } },
+          { session }
+        );
+        
+        if (!claimedCart) {
+          throw new CommunityCartCheckedOutError(communityCart._id);
+        }
+        
+        // Hold stock for the orders unless it was already reserved when the cart locked
+        if (reserveNeeded) {
+          await reserveStock(communityCart.items, session);
+        }
+        
+        // The cart's coupon is redeemed once for all of the member orders
+        if (coupon && !(await claimCouponUse(coupon._id, session))) {
+          throw new CouponUnavailableError(coupon.code);
+        }
+        
+        for (const { member, order, carbonSaved } of memberDrafts) {
+          await order.save({ session });
+          
+          // Update member's carbon footprint saved
+          await User.findByIdAndUpdate(member._id, {
+            $inc: { carbonFootprintSaved: carbonSaved }
+          }, { session });
+        }
+        
+        // Update community's total carbon footprint saved
+        await Community.findByIdAndUpdate(community._id, {
+          $inc: { totalCarbonFootprintSaved: totalCarbonSaved }
+        }, { session });
+        
+        // Link the orders to the cart's delivery cycle
+        if (communityCart.deliveryCycle) {
+          await DeliveryCycle.findByIdAndUpdate(communityCart.deliveryCycle, {
+            $push: { orders: { $each: orders.map(order => order._id) } },
+            $inc: {
+              totalItems,
+              totalValue,
+              carbonFootprintSaved: totalCarbonSaved
+            }
+          }, { session });
+        }
+        
+        communityCart.stockReserved = true;
+        communityCart.isCheckedOut = true;
+        communityCart.checkedOutAt = new Date();
+        communityCart.orders = orders.map(order => order._id);
+        await communityCart.save({ session });
+        
+        // Give back the stock held for lines no order was placed for
+        if (skippedLines.length > 0) {
+          await releaseStock(skippedLines, session);
+        }
+        
+        // Record who owes what, including a share of the delivery fee
+        settlement = await createSettlement({ communityCart, orders, deliveryFee }, session);
+      });
+    } catch (transactionError) {
+      if (transactionError instanceof CommunityCartCheckedOutError) {
+        return res.status(409).json({ message: 'Community cart has already been checked out' });
+      }
+      
+      if (transactionError instanceof CouponUnavailableError) {
+        return res.status(409).json({ 
+          message: `Coupon has reached its usage limit. Remove the coupon with DELETE /api/community-carts/coupon/${community._id}?cart=locked to check out.`,
+          coupon: transactionError.couponCode
+        });
+      }
+      
+      if (transactionError instanceof InsufficientStockError) {
+        return res.status(409).json({ 
+          message: 'Not enough stock available for the community cart',
+          productId: transactionError.productId,
+          variantId: transactionError.variantId
+        });
+      }
+      
+      throw transactionError;
+    }
+    
+    for (const { member, order } of memberDrafts) {
+      try {
+        await Notification.create({
+          recipient: member._id,
+          type: 'new_order',
+          title: 'Community Order Placed',
+          message: `Your items in the ${community.name} community cart have been ordered.`,
+          relatedId: order._id,
+          onModel: 'Order'
+        });
+      } catch (notifError) {
+        console.error('Error creating notification:', notifError);
+        // Don't fail the checkout if notification fails
+      }
+    }
+    
+    res.status(201).json({
+      message: `Community cart checked out into ${orders.length} orders`,
+      orders,
+      settlement,
+      unassignedItems
+    });
+  } catch (error) {
+    console.error('Error checking out community cart:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const { walmartAuth } = require('../middleware/auth');
+const Coupon = require('../models/Coupon');
+const router = express.Router();
+
+// Fields a Walmart user can set on a coupon
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'products',
+  'categories',
+  'communityOnly',
+  'minBasketAmount',
+  'usageLimit',
+  'usageLimitPerUser',
+  'validFrom',
+  'validUntil',
+  'isActive'
+];
+
+// Get all coupons (walmart admin only)
+router.get('/', walmartAuth, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) {
+      filter.isActive = req.query.active === 'true';
+    }
+    
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (error) {
+    console.error('Error fetching coupons:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get coupon by ID (walmart admin only)
+router.get('/:id', walmartAuth, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('products', 'name category');
+    
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    
+    res.json(coupon);
+  } catch (error) {
+    console.error('Error fetching coupon:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create coupon (walmart admin only)
+router.post('/', walmartAuth, async (req, res) => {
+  try {
+    const fields = {};
+    COUPON_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+    
+    const coupon = new Coupon({
+      ...fields,
+      createdBy: req.user._id
+    });
+    
+    await coupon.save();
+    res.status(201).json(coupon);
+  } catch (error) {
+    console.error('Error creating coupon:', error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid coupon', error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A coupon with this code already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update coupon (walmart admin only)
+router.put('/:id', walmartAuth, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    
+    COUPON_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    });
+    
+    await coupon.save();
+    res.json(coupon);
+  } catch (error) {
+    console.error('Error updating coupon:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid coupon', error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A coupon with this code already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete coupon; coupons that have been redeemed are deactivated instead so orders keep their reference (walmart admin only)
+router.delete('/:id', walmartAuth, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({ message: 'Coupon has been redeemed and was deactivated', coupon });
+    }
+    
+    await coupon.deleteOne();
+    res.json({ message: 'Coupon removed' });
+  } catch (error) {
+    console.error('Error deleting coupon:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,12 @@
 const express = require('express');
-const { auth, walmartAuth } = require('../middleware/auth');
+const { auth, walmartAuth, authorize, communityOf } = require('../middleware/auth');
 const DeliveryCycle = require('../models/DeliveryCycle');
 const Community = require('../models/Community');
 const CommunityCart = require('../models/CommunityCart');
+const Order = require('../models/Order');
+const { createDeliveryCycle, transitionDeliveryCycle } = require('../utils/deliveryCycles');
+const { getLineUnit } = require('../utils/inventory');
+const { buildDeliveryCycleInvoice, renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoices');
 const router = express.Router();
 
 // Get all delivery cycles (walmart only)
@@ -73,10 +77,53 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// Get a consolidated invoice for every order in a delivery cycle as HTML or PDF (view_orders permission)
+router.get('/:id/invoice', authorize({ permission: 'view_orders', community: communityOf(DeliveryCycle) }), async (req, res) => {
+  try {
+    const format = req.query.format || 'html';
+    
+    if (!['html', 'pdf'].includes(format)) {
+      return res.status(400).json({ message: 'format must be html or pdf' });
+    }
+    
+    const { deliveryCycle, community } = req;
+    
+    // Cancelled orders were not delivered and are left off the invoice
+    const orders = await Order.find({
+      deliveryCycle: deliveryCycle._id,
+      orderStatus: { $ne: 'cancelled' }
+    })
+      .populate('items.product', 'name')
+      .populate('user', 'name email')
+      .sort({ createdAt: 1 });
+    
+    if (orders.length === 0) {
+      return res.status(404).json({ message: 'No orders in this delivery cycle' });
+    }
+    
+    const invoice = buildDeliveryCycleInvoice(deliveryCycle, community, orders);
+    
+    if (format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+      return res.send(await renderInvoicePdf(invoice));
+    }
+    
+    res.set('Content-Type', 'text/html');
+    res.send(renderInvoiceHtml(invoice));
+  } catch (error) {
+    console.error('Error generating delivery cycle invoice:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Delivery cycle not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Create delivery cycle (walmart only)
 router.post('/', walmartAuth, async (req, res) => {
   try {
-    const { communityId, scheduledDate } = req.body;
+    const { communityId, scheduledDate, cutoffHours } = req.body;
 
     // Check if community exists
     const community = await Community.findById(communityId);
@@ -84,29 +131,13 @@ router.post('/', walmartAuth, async (req, res) => {
       return res.status(404).json({ message: 'Community not found' });
     }
 
-    // Create new delivery cycle
-    const newDeliveryCycle = new DeliveryCycle({
+    // Create new delivery cycle and its community cart
+    const { deliveryCycle } = await createDeliveryCycle({
       community: communityId,
       scheduledDate: new Date(scheduledDate),
+      cutoffHours,
       createdBy: req.user.id
     });
-
-    const deliveryCycle = await newDeliveryCycle.save();
-    
-    // Create or update community cart for this delivery cycle
-    let communityCart = await CommunityCart.findOne({ community: communityId, deliveryCycle: null });
-    
-    if (communityCart) {
-      communityCart.deliveryCycle = deliveryCycle._id;
-      await communityCart.save();
-    } else {
-      communityCart = new CommunityCart({
-        community: communityId,
-        deliveryCycle: deliveryCycle._id,
-        items: []
-      });
-      await communityCart.save();
-    }
     
     res.status(201).json({
       message: 'Delivery cycle created successfully',
@@ -121,9 +152,9 @@ router.post('/', walmartAuth, async (req, res) => {
 // Update delivery cycle status (walmart only)
 router.put('/:id/status', walmartAuth, async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, note } = req.body;
     
-    if (!['scheduled', 'in-progress', 'completed', 'cancelled'].includes(status)) {
+    if (!Object.keys(DeliveryCycle.STATUS_TRANSITIONS).includes(status)) {
       return res.status(400).json({ message: 'Invalid status' });
     }
     
@@ -133,8 +164,14 @@ router.put('/:id/status', walmartAuth, async (req, res) => {
       return res.status(404).json({ message: 'Delivery cycle not found' });
     }
     
-    deliveryCycle.status = status;
-    await deliveryCycle.save();
+    if (!deliveryCycle.canTransitionTo(status)) {
+      return res.status(400).json({ 
+        message: `Cannot change delivery cycle status from ${deliveryCycle.status} to ${status}`,
+        allowedStatuses: DeliveryCycle.STATUS_TRANSITIONS[deliveryCycle.status]
+      });
+    }
+    
+    await transitionDeliveryCycle(deliveryCycle, status, req.user._id, note);
     
     res.json({
       message: `Delivery cycle status updated to ${status}`,
@@ -166,26 +203,44 @@ router.get('/:id/requirements', walmartAuth, async (req, res) => {
       return res.status(404).json({ message: 'Community cart not found for this delivery cycle' });
     }
     
-    // Aggregate product requirements
+    // Aggregate requirements per product variant
     const productRequirements = [];
     const productMap = new Map();
     
     communityCart.items.forEach(item => {
-      const productId = item.product._id.toString();
+      const unit = getLineUnit(item);
+      
+      // Lines whose product or variant no longer exists will not be delivered
+      if (!unit) {
+        return;
+      }
+      
+      const key = `${item.product._id}:${item.variant || ''}`;
       
-      if (productMap.has(productId)) {
-        const existingItem = productMap.get(productId);
+      if (productMap.has(key)) {
+        const existingItem = productMap.get(key);
         existingItem.quantity += item.quantity;
+        existingItem.totalPrice += item.quantity * unit.price;
+        existingItem.totalVolume += item.quantity * unit.volume;
+        existingItem.totalWeight += item.quantity * unit.weight;
       } else {
-        productMap.set(productId, {
+        productMap.set(key, {
           product: {
             _id: item.product._id,
             name: item.product.name,
-            price: item.product.price,
+            price: unit.price,
             category: item.product.category
           },
+          variant: item.variant ? {
+            _id: unit._id,
+            name: unit.name,
+            sku: unit.sku,
+            packSize: unit.packSize
+          } : null,
           quantity: item.quantity,
-          totalPrice: item.quantity * item.product.price
+          totalPrice: item.quantity * unit.price,
+          totalVolume: item.quantity * unit.volume,
+          totalWeight: item.quantity * unit.weight
         });
       }
     });
@@ -0,0 +1,286 @@
+const express = require('express');
+const { auth, authorize, communityOf } = require('../middleware/auth');
+const DeliverySchedule = require('../models/DeliverySchedule');
+const DeliveryCycle = require('../models/DeliveryCycle');
+const Community = require('../models/Community');
+const CommunityCart = require('../models/CommunityCart');
+const { generateScheduledCycles, transitionDeliveryCycle } = require('../utils/deliveryCycles');
+const router = express.Router();
+
+// Walmart users and members with manage_schedule in the community can manage its schedules
+const scheduleAuth = authorize({
+  roles: ['walmart'],
+  permission: 'manage_schedule',
+  community: communityOf(DeliverySchedule)
+});
+
+// Get delivery schedules for a community
+router.get('/community/:communityId', auth, async (req, res) => {
+  try {
+    const schedules = await DeliverySchedule.find({
+      community: req.params.communityId
+    })
+      .sort({ createdAt: -1 });
+    
+    res.json(schedules);
+  } catch (error) {
+    console.error('Error fetching delivery schedules:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get delivery schedule by ID with its upcoming cycles
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const schedule = await DeliverySchedule.findById(req.params.id)
+      .populate('community', 'name location');
+    
+    if (!schedule) {
+      return res.status(404).json({ message: 'Delivery schedule not found' });
+    }
+    
+    const upcomingCycles = await DeliveryCycle.find({
+      schedule: schedule._id,
+      scheduledDate: { $gte: new Date() }
+    })
+      .sort({ scheduledDate: 1 });
+    
+    res.json({
+      schedule,
+      upcomingCycles
+    });
+  } catch (error) {
+    console.error('Error fetching delivery schedule:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Delivery schedule not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a recurring delivery schedule (walmart or manage_schedule permission)
+router.post('/', authorize({
+  roles: ['walmart'],
+  permission: 'manage_schedule',
+  community: req => req.body && req.body.communityId
+}), async (req, res) => {
+  try {
+    const {
+      communityId,
+      weekday,
+      time,
+      frequency,
+      startDate,
+      endDate,
+      skipDates,
+      cutoffHours
+    } = req.body;
+    
+    // Check if community exists
+    const community = await Community.findById(communityId);
+    if (!community) {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    
+    if (!startDate || isNaN(new Date(startDate))) {
+      return res.status(400).json({ message: 'A valid startDate is required' });
+    }
+    
+    if (endDate && new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json({ message: 'endDate must be after startDate' });
+    }
+    
+    const schedule = new DeliverySchedule({
+      community: communityId,
+      weekday,
+      time,
+      frequency,
+      startDate: new Date(startDate),
+      endDate: endDate ? new Date(endDate) : undefined,
+      skipDates: skipDates || [],
+      cutoffHours,
+      createdBy: req.user.id
+    });
+    
+    await schedule.save();
+    
+    // Create the first upcoming delivery cycles straight away
+    const createdCycles = await generateScheduledCycles(schedule);
+    
+    res.status(201).json({
+      message: 'Delivery schedule created successfully',
+      schedule,
+      createdCycles
+    });
+  } catch (error) {
+    console.error('Error creating delivery schedule:', error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid delivery schedule', error: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pause a delivery schedule (walmart or manage_schedule permission)
+router.put('/:id/pause', scheduleAuth, async (req, res) => {
+  try {
+    const schedule = req.deliverySchedule;
+    
+    // Cycles that were already created are kept; no new ones are generated
+    schedule.isPaused = true;
+    await schedule.save();
+    
+    res.json({
+      message: 'Delivery schedule paused',
+      schedule
+    });
+  } catch (error) {
+    console.error('Error pausing delivery schedule:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Delivery schedule not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resume a paused delivery schedule (walmart or manage_schedule permission)
+router.put('/:id/resume', scheduleAuth, async (req, res) => {
+  try {
+    const schedule = req.deliverySchedule;
+    
+    schedule.isPaused = false;
+    await schedule.save();
+    
+    const createdCycles = await generateScheduledCycles(schedule);
+    
+    res.json({
+      message: 'Delivery schedule resumed',
+      schedule,
+      createdCycles
+    });
+  } catch (error) {
+    console.error('Error resuming delivery schedule:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Delivery schedule not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Skip one occurrence of a delivery schedule (walmart or manage_schedule permission)
+router.post('/:id/skip', scheduleAuth, async (req, res) => {
+  try {
+    const { date } = req.body;
+    
+    const schedule = req.deliverySchedule;
+    
+    if (!date || isNaN(new Date(date))) {
+      return res.status(400).json({ message: 'A valid date is required' });
+    }
+    
+    const occurrence = schedule.getOccurrence(new Date(date));
+    if (!occurrence) {
+      return res.status(400).json({ message: 'No delivery is scheduled on that date' });
+    }
+    
+    // Cancel the cycle if it has already been created
+    const deliveryCycle = await DeliveryCycle.findOne({
+      schedule: schedule._id,
+      occurrenceDate: occurrence.originalDate
+    });
+    
+    if (deliveryCycle) {
+      if (deliveryCycle.status !== 'scheduled') {
+        return res.status(400).json({ message: `Delivery cycle is already ${deliveryCycle.status}` });
+      }
+      
+      const communityCart = await CommunityCart.findOne({ deliveryCycle: deliveryCycle._id });
+      
+      if (communityCart && communityCart.items.length > 0) {
+        return res.status(400).json({
+          message: 'Members have already added items for this delivery. Reschedule it instead.'
+        });
+      }
+      
+      if (communityCart) {
+        await communityCart.deleteOne();
+      }
+      
+      await transitionDeliveryCycle(deliveryCycle, 'cancelled', req.user._id, 'Delivery occurrence skipped');
+    }
+    
+    schedule.skipDates.push(occurrence.originalDate);
+    await schedule.save();
+    
+    res.json({
+      message: 'Delivery occurrence skipped',
+      schedule
+    });
+  } catch (error) {
+    console.error('Error skipping delivery occurrence:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Delivery schedule not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move one occurrence of a delivery schedule to another date (walmart or manage_schedule permission)
+router.post('/:id/reschedule', scheduleAuth, async (req, res) => {
+  try {
+    const { date, newDate } = req.body;
+    
+    const schedule = req.deliverySchedule;
+    
+    if (!date || isNaN(new Date(date)) || !newDate || isNaN(new Date(newDate))) {
+      return res.status(400).json({ message: 'Valid date and newDate are required' });
+    }
+    
+    if (new Date(newDate) <= new Date()) {
+      return res.status(400).json({ message: 'newDate must be in the future' });
+    }
+    
+    const occurrence = schedule.getOccurrence(new Date(date));
+    if (!occurrence) {
+      return res.status(400).json({ message: 'No delivery is scheduled on that date' });
+    }
+    
+    const deliveryCycle = await DeliveryCycle.findOne({
+      schedule: schedule._id,
+      occurrenceDate: occurrence.originalDate
+    });
+    
+    if (deliveryCycle && deliveryCycle.status !== 'scheduled') {
+      return res.status(400).json({ message: `Delivery cycle is already ${deliveryCycle.status}` });
+    }
+    
+    // Replace any earlier reschedule of the same occurrence
+    schedule.reschedules = schedule.reschedules.filter(
+      entry => entry.originalDate.getTime() !== occurrence.originalDate.getTime()
+    );
+    schedule.reschedules.push({
+      originalDate: occurrence.originalDate,
+      newDate: new Date(newDate)
+    });
+    await schedule.save();
+    
+    if (deliveryCycle) {
+      deliveryCycle.scheduledDate = new Date(newDate);
+      await deliveryCycle.save();
+    }
+    
+    res.json({
+      message: 'Delivery occurrence rescheduled',
+      schedule,
+      deliveryCycle
+    });
+  } catch (error) {
+    console.error('Error rescheduling delivery occurrence:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Delivery schedule not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
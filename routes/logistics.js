@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
 const Order = require('../models/Order');
-const { auth } = require('../middleware/auth');
+const { auth, staffAuth } = require('../middleware/auth');
+const { getLineUnit } = require('../utils/inventory');
 
 /**
  * Calculate the number of trucks required based on volume and weight constraints
@@ -253,17 +254,13 @@ function patternSearch(initialDiscounts, quantities, retailPrices, supplierCosts
  * @desc    Optimize discounts with logistics constraints
  * @access  Private (admin or walmart)
  */
-router.post('/optimize', auth, async (req, res) => {
+router.post('/optimize', staffAuth, async (req, res) => {
   try {
     console.log('Logistics optimization requested by user:', req.user.id, 'role:', req.user.role);
-    
-    // Check if user is admin or walmart
-    if (req.user.role !== 'admin' && req.user.role !== 'walmart') {
-      return res.status(403).json({ msg: 'Not authorized to access this resource' });
-    }
 
     const {
       productIds,
+      variantIds,
       quantities,
       volumePerUnit,
       weightPerUnit,
@@ -303,40 +300,48 @@ router.post('/optimize', auth, async (req, res) => {
       });
     }
     
-    if (!volumePerUnit || !Array.isArray(volumePerUnit) || volumePerUnit.length === 0) {
-      console.error('Missing or invalid volumePerUnit in request:', volumePerUnit);
+    // volumePerUnit and weightPerUnit are optional; they default to the
+    // dimensions of each product or variant
+    if (volumePerUnit !== undefined && (!Array.isArray(volumePerUnit) || volumePerUnit.length === 0)) {
+      console.error('Invalid volumePerUnit in request:', volumePerUnit);
       return res.status(400).json({ 
-        msg: 'Missing or invalid required field: volumePerUnit',
+        msg: 'Invalid field: volumePerUnit',
         details: 'Must be a non-empty array'
       });
     }
     
-    if (!weightPerUnit || !Array.isArray(weightPerUnit) || weightPerUnit.length === 0) {
-      console.error('Missing or invalid weightPerUnit in request:', weightPerUnit);
+    if (weightPerUnit !== undefined && (!Array.isArray(weightPerUnit) || weightPerUnit.length === 0)) {
+      console.error('Invalid weightPerUnit in request:', weightPerUnit);
       return res.status(400).json({ 
-        msg: 'Missing or invalid required field: weightPerUnit',
+        msg: 'Invalid field: weightPerUnit',
         details: 'Must be a non-empty array'
       });
     }
+    
+    if (variantIds !== undefined && !Array.isArray(variantIds)) {
+      console.error('Invalid variantIds in request:', variantIds);
+      return res.status(400).json({ 
+        msg: 'Invalid field: variantIds',
+        details: 'Must be an array with a variant ID or null for each product'
+      });
+    }
 
     // 2. Check array lengths match
     if (productIds.length !== quantities.length || 
-        productIds.length !== volumePerUnit.length || 
-        productIds.length !== weightPerUnit.length) {
-      console.error('Array length mismatch:', {
+        (volumePerUnit && productIds.length !== volumePerUnit.length) || 
+        (weightPerUnit && productIds.length !== weightPerUnit.length) ||
+        (variantIds && productIds.length !== variantIds.length)) {
+      const lengths = {
         productIdsLength: productIds.length,
         quantitiesLength: quantities.length,
-        volumePerUnitLength: volumePerUnit.length,
-        weightPerUnitLength: weightPerUnit.length
-      });
+        volumePerUnitLength: volumePerUnit && volumePerUnit.length,
+        weightPerUnitLength: weightPerUnit && weightPerUnit.length,
+        variantIdsLength: variantIds && variantIds.length
+      };
+      console.error('Array length mismatch:', lengths);
       return res.status(400).json({ 
         msg: 'Arrays must be of equal length',
-        details: {
-          productIdsLength: productIds.length,
-          quantitiesLength: quantities.length,
-          volumePerUnitLength: volumePerUnit.length,
-          weightPerUnitLength: weightPerUnit.length
-        }
+        details: lengths
       });
     }
     
@@ -361,7 +366,17 @@ router.post('/optimize', auth, async (req, res) => {
       });
     }
     
-    const invalidVolumes = volumePerUnit.filter(v => typeof v !== 'number' || isNaN(v) || v <= 0);
+    const invalidVariantIds = (variantIds || []).filter(id => id && !String(id).match(/^[0-9a-fA-F]{24}$/));
+    if (invalidVariantIds.length > 0) {
+      console.error('Invalid MongoDB ObjectId format in variantIds:', invalidVariantIds);
+      return res.status(400).json({ 
+        msg: 'Invalid variant ID format',
+        details: 'All variantIds must be valid MongoDB ObjectIds or null',
+        invalidIds: invalidVariantIds
+      });
+    }
+    
+    const invalidVolumes = (volumePerUnit || []).filter(v => typeof v !== 'number' || isNaN(v) || v <= 0);
     if (invalidVolumes.length > 0) {
       console.error('Invalid volumePerUnit values:', invalidVolumes);
       return res.status(400).json({ 
@@ -370,7 +385,7 @@ router.post('/optimize', auth, async (req, res) => {
       });
     }
     
-    const invalidWeights = weightPerUnit.filter(w => typeof w !== 'number' || isNaN(w) || w <= 0);
+    const invalidWeights = (weightPerUnit || []).filter(w => typeof w !== 'number' || isNaN(w) || w <= 0);
     if (invalidWeights.length > 0) {
       console.error('Invalid weightPerUnit values:', invalidWeights);
       return res.status(400).json({ 
@@ -425,20 +440,21 @@ router.post('/optimize', auth, async (req, res) => {
     let products;
     try {
       console.log('Fetching products with IDs:', productIds);
-      products = await Product.find({ _id: { $in: productIds } });
-      console.log(`Found ${products.length} products out of ${productIds.length} requested`);
+      const uniqueIds = [...new Set(productIds)];
+      const foundProducts = await Product.find({ _id: { $in: uniqueIds } });
+      console.log(`Found ${foundProducts.length} products out of ${uniqueIds.length} requested`);
       
-      if (products.length === 0) {
+      if (foundProducts.length === 0) {
         return res.status(400).json({
           msg: 'No products found with the provided IDs',
           productIds
         });
       }
       
-      if (products.length !== productIds.length) {
+      if (foundProducts.length !== uniqueIds.length) {
         // Find which product IDs were not found
-        const foundIds = products.map(p => p._id.toString());
-        const missingIds = productIds.filter(id => !foundIds.includes(id));
+        const foundIds = foundProducts.map(p => p._id.toString());
+        const missingIds = uniqueIds.filter(id => !foundIds.includes(id));
         console.error('Missing product IDs:', missingIds);
         return res.status(400).json({ 
           msg: 'Some products not found', 
@@ -447,10 +463,44 @@ router.post('/optimize', auth, async (req, res) => {
         });
       }
       
+      // Resolve each entry to the variant being shipped, in request order
+      const productsById = new Map(foundProducts.map(p => [p._id.toString(), p]));
+      const missingVariantIds = [];
+      
+      products = productIds.map((id, i) => {
+        const product = productsById.get(id);
+        const variantId = variantIds && variantIds[i];
+        const unit = product.getUnit(variantId);
+        
+        if (!unit) {
+          missingVariantIds.push(variantId);
+          return null;
+        }
+        
+        return {
+          _id: product._id,
+          name: product.name,
+          variant: variantId ? { _id: unit._id, name: unit.name } : null,
+          price: unit.price,
+          costPrice: unit.costPrice,
+          operationalCost: unit.operationalCost,
+          volume: unit.volume,
+          weight: unit.weight
+        };
+      });
+      
+      if (missingVariantIds.length > 0) {
+        console.error('Missing variant IDs:', missingVariantIds);
+        return res.status(400).json({ 
+          msg: 'Some product variants not found', 
+          missingVariantIds
+        });
+      }
+      
       // Validate that all products have the necessary price fields
       // If missing, apply defaults
       products = products.map(product => {
-        const updatedProduct = { ...product.toObject() };
+        const updatedProduct = { ...product };
         
         // Check price
         if (typeof updatedProduct.price !== 'number' || isNaN(updatedProduct.price) || updatedProduct.price <= 0) {
@@ -503,11 +553,15 @@ router.post('/optimize', auth, async (req, res) => {
     const operationalCosts = products.map(p => p.operationalCost);
     const retailPrices = products.map(p => p.price);
 
+    // Shipping dimensions per unit, from the request or the product/variant
+    const unitVolumes = volumePerUnit || products.map(p => p.volume || 0.02);
+    const unitWeights = weightPerUnit || products.map(p => p.weight || 1.5);
+    
     // Calculate number of trucks required
     const numTrucks = calculateTrucksRequired(
       quantities,
-      volumePerUnit,
-      weightPerUnit,
+      unitVolumes,
+      unitWeights,
       truckVolume,
       truckWeight
     );
@@ -634,6 +688,7 @@ router.post('/optimize', auth, async (req, res) => {
     const productDetails = products.map((product, i) => ({
       id: product._id,
       name: product.name,
+      variant: product.variant,
       retailPrice: retailPrices[i],
       supplierCost: supplierCosts[i],
       operationalCost: operationalCosts[i],
@@ -660,8 +715,8 @@ router.post('/optimize', auth, async (req, res) => {
         distanceKm,
         costPerKm,
         totalTransportCost: transportCost,
-        totalVolume: quantities.reduce((sum, q, i) => sum + q * volumePerUnit[i], 0),
-        totalWeight: quantities.reduce((sum, q, i) => sum + q * weightPerUnit[i], 0)
+        totalVolume: quantities.reduce((sum, q, i) => sum + q * unitVolumes[i], 0),
+        totalWeight: quantities.reduce((sum, q, i) => sum + q * unitWeights[i], 0)
       },
       emissions
     };
@@ -723,9 +778,11 @@ router.get('/co2-savings/:orderId', auth, async (req, res) => {
     let totalWeight = 0;
     
     order.items.forEach(item => {
+      const unit = getLineUnit(item);
+      
       // Default values if not specified
-      const volume = item.product.volume || 0.02; // cubic meters
-      const weight = item.product.weight || 1.5; // kg
+      const volume = (unit && unit.volume) || 0.02; // cubic meters
+      const weight = (unit && unit.weight) || 1.5; // kg
       
       totalVolume += item.quantity * volume;
       totalWeight += item.quantity * weight;
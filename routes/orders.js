@@ -1,15 +1,57 @@
 const express = require('express');
-const { auth } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { auth, staffAuth, communityAuth, authorize, communityOf } = require('../middleware/auth');
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
 const User = require('../models/User');
 const Community = require('../models/Community');
+const DeliveryCycle = require('../models/DeliveryCycle');
+const { transitionOrder, cancelOrder } = require('../utils/orders');
+const { processOrderPayment, refundOrderPayment, voidOrderPayment } = require('../utils/payments');
+const { checkAvailability, getLineUnit, reserveStock, InsufficientStockError } = require('../utils/inventory');
+const { priceLines, toOrderItem, getDeliveryFee } = require('../utils/pricing');
+const { calculateCharges } = require('../utils/taxes');
+const { checkCoupon, claimCouponUse, CouponUnavailableError } = require('../utils/coupons');
+const Coupon = require('../models/Coupon');
+const { buildOrderInvoice, renderInvoiceHtml, renderInvoicePdf } = require('../utils/invoices');
+const { addLinesToCart } = require('../utils/carts');
 const router = express.Router();
 
+// Walmart users and admins manage every order; within a community the
+// permission decides, e.g. view_orders to see an order and manage_orders to change it
+const orderAuth = (permission, options = {}) => authorize({
+  roles: ['walmart', 'admin'],
+  permission,
+  community: communityOf(Order),
+  ...options
+});
+
+// Hours after placing an individual order during which the buyer can still cancel it
+const getCancelWindowHours = () => Number(process.env.ORDER_CANCEL_WINDOW_HOURS) || 24;
+
 // Create a new order
 router.post('/', auth, async (req, res) => {
   try {
-    const { shippingAddress, paymentMethod } = req.body;
+    const { shippingAddress, paymentMethod, paymentToken } = req.body;
+    
+    const idempotencyKey = req.header('Idempotency-Key');
+    
+    if (!paymentMethod) {
+      return res.status(400).json({ message: 'Payment method is required' });
+    }
+    
+    // A retried request returns the order the first attempt created
+    if (idempotencyKey) {
+      const existingOrder = await Order.findOne({ user: req.user.id, idempotencyKey });
+      
+      if (existingOrder) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(200).json({
+          message: 'Order already created',
+          order: existingOrder
+        });
+      }
+    }
     
     // Get user's cart
     const cart = await Cart.findOne({ user: req.user.id })
@@ -19,19 +61,60 @@ router.post('/', auth, async (req, res) => {
       return res.status(400).json({ message: 'Cart is empty' });
     }
     
+    // Make sure every line can still be fulfilled before taking payment
+    const unavailableItem = cart.items.find(item => !checkAvailability(getLineUnit(item), item.quantity));
+    if (unavailableItem) {
+      const unit = getLineUnit(unavailableItem);
+      const isRetired = !unit || unit.isActive === false;
+      
+      return res.status(409).json({ 
+        message: isRetired
+          ? `${unavailableItem.product ? unavailableItem.product.name : 'A product'} is no longer available. Remove it from your cart to place the order.`
+          : `Not enough stock available for ${unavailableItem.product.name}`,
+        productId: unavailableItem.product ? unavailableItem.product._id : undefined,
+        variantId: unavailableItem.variant,
+        availableQuantity: isRetired ? 0 : unit.availableQuantity
+      });
+    }
+    
     // Get user for community info
     const user = await User.findById(req.user.id);
     
-    // Prepare order items from cart
-    const orderItems = cart.items.map(item => ({
-      product: item.product._id,
-      quantity: item.quantity,
-      price: item.product.price * (
-        cart.appliedCommunityDiscount 
-          ? (1 - (item.product.communityDiscountPercentage / 100)) 
-          : 1
-      )
-    }));
+    // Price the order with the same rules as the cart
+    const pricing = priceLines(cart.items, item => cart.getLineDiscountPercentage(item));
+    
+    // Check the cart's coupon against its limits before taking payment
+    let coupon = null;
+    let couponDiscount = 0;
+    if (cart.coupon) {
+      coupon = await Coupon.findById(cart.coupon);
+      const couponCheck = await checkCoupon(coupon, {
+        userId: req.user._id,
+        items: cart.items,
+        pricing
+      });
+      
+      if (!couponCheck.valid) {
+        return res.status(400).json({ 
+          message: `${couponCheck.reason}. Remove the coupon to place the order.`,
+          coupon: coupon ? coupon.code : undefined
+        });
+      }
+      
+      couponDiscount = couponCheck.discountAmount;
+    }
+    
+    // Add sales tax for the delivery address and the individual delivery fee
+    const deliveryAddress = shippingAddress || user.address;
+    const charges = await calculateCharges({
+      items: cart.items,
+      pricing,
+      coupon,
+      couponDiscount,
+      address: deliveryAddress,
+      deliveryFee: getDeliveryFee(false)
+    });
+    const orderItems = pricing.lines.map((line, index) => toOrderItem(line, charges.taxLines[index]));
     
     // Calculate carbon footprint saved
     const carbonFootprintSaved = 
@@ -43,33 +126,126 @@ router.post('/', auth, async (req, res) => {
       user: req.user.id,
       community: user.community,
       items: orderItems,
-      totalPrice: cart.totalPrice,
-      shippingAddress: shippingAddress || user.address,
+      listTotal: pricing.listTotal,
+      totalSavings: pricing.totalSavings,
+      subtotal: charges.subtotal,
+      tax: charges.tax,
+      deliveryFee: charges.deliveryFee,
+      totalPrice: charges.totalPrice,
+      coupon: coupon ? {
+        coupon: coupon._id,
+        code: coupon.code,
+        discountAmount: couponDiscount
+      } : undefined,
+      shippingAddress: deliveryAddress,
       paymentMethod,
       isGroupOrder: !!user.community,
-      carbonFootprintSaved: user.community ? carbonFootprintSaved : 0
+      carbonFootprintSaved: user.community ? carbonFootprintSaved : 0,
+      idempotencyKey
     });
     
-    const order = await newOrder.save();
+    // Take payment through the configured provider
+    await processOrderPayment(newOrder, { paymentToken });
     
-    // Update user's carbon footprint saved
-    if (user.community) {
-      user.carbonFootprintSaved += carbonFootprintSaved;
-      await user.save();
+    if (newOrder.paymentStatus === 'failed') {
+      // Keep a record of the declined attempt but leave the cart as it is. The
+      // record doesn't keep the idempotency key, so a retry with the same key
+      // tries the payment again instead of replaying the decline
+      newOrder.idempotencyKey = undefined;
+      newOrder.orderStatus = 'cancelled';
+      newOrder.carbonFootprintSaved = 0;
+      newOrder.statusHistory.push({
+        from: 'processing',
+        to: 'cancelled',
+        changedBy: req.user._id,
+        note: newOrder.paymentError
+      });
+      await newOrder.save();
       
-      // Update community's total carbon footprint saved
-      await Community.findByIdAndUpdate(user.community, {
-        $inc: { totalCarbonFootprintSaved: carbonFootprintSaved }
+      return res.status(402).json({
+        message: 'Payment failed',
+        error: newOrder.paymentError,
+        order: newOrder
       });
     }
     
-    // Clear the user's cart
-    cart.items = [];
-    await cart.save();
+    // Reserve stock, save the order, credit carbon savings and clear the cart together so
+    // a failure part way through leaves nothing half applied
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        await reserveStock(orderItems, session);
+        newOrder.stockReserved = true;
+        
+        // Count the redemption against the coupon's overall limit
+        if (coupon && !(await claimCouponUse(coupon._id, session))) {
+          throw new CouponUnavailableError(coupon.code);
+        }
+        
+        await newOrder.save({ session });
+        
+        if (user.community) {
+          // Update user's carbon footprint saved
+          await User.findByIdAndUpdate(user._id, {
+            $inc: { carbonFootprintSaved }
+          }, { session });
+          
+          // Update community's total carbon footprint saved
+          await Community.findByIdAndUpdate(user.community, {
+            $inc: { totalCarbonFootprintSaved: carbonFootprintSaved }
+          }, { session });
+        }
+        
+        // Clear the user's cart
+        cart.items = [];
+        cart.coupon = undefined;
+        await cart.save({ session });
+      });
+    } catch (transactionError) {
+      // Nothing was written, so give the money back, or stop a payment
+      // awaiting confirmation from going through
+      await refundOrderPayment(newOrder);
+      await voidOrderPayment(newOrder);
+      
+      if (newOrder.paymentStatus === 'completed' || newOrder.paymentStatus === 'pending') {
+        console.error('Error reversing payment for unplaced order:', newOrder.paymentTransactionId, newOrder.paymentError);
+      }
+      
+      if (transactionError instanceof CouponUnavailableError) {
+        return res.status(409).json({ 
+          message: 'Coupon has reached its usage limit',
+          coupon: transactionError.couponCode
+        });
+      }
+      
+      if (transactionError instanceof InsufficientStockError) {
+        return res.status(409).json({ 
+          message: 'Not enough stock available',
+          productId: transactionError.productId,
+          variantId: transactionError.variantId
+        });
+      }
+      
+      // A concurrent request with the same key won the race
+      if (transactionError.code === 11000 && idempotencyKey) {
+        const existingOrder = await Order.findOne({ user: req.user.id, idempotencyKey });
+        
+        if (existingOrder) {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(200).json({
+            message: 'Order already created',
+            order: existingOrder
+          });
+        }
+      }
+      
+      throw transactionError;
+    }
     
     res.status(201).json({ 
-      message: 'Order created successfully',
-      order 
+      message: newOrder.paymentStatus === 'pending' 
+        ? 'Order created; payment is awaiting confirmation' 
+        : 'Order created successfully',
+      order: newOrder 
     });
   } catch (error) {
     console.error('Error creating order:', error.message);
@@ -104,7 +280,7 @@ router.get('/:id', auth, async (req, res) => {
     
     // Check if the order belongs to the user
     if (order.user.toString() !== req.user.id) {
-      return res.status(401).json({ message: 'Not authorized' });
+      return res.status(403).json({ message: 'Not authorized' });
     }
     
     res.json(order);
@@ -117,17 +293,97 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
-// Get orders for a community (community admin only)
-router.get('/community/:communityId', auth, async (req, res) => {
+// Get an order's invoice as HTML or PDF (buyer, walmart, admin or view_orders in the order's community)
+router.get('/:id/invoice', orderAuth('view_orders', {
+  allow: req => req.order.user.toString() === req.user.id
+}), async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    const format = req.query.format || 'html';
+    
+    if (!['html', 'pdf'].includes(format)) {
+      return res.status(400).json({ message: 'format must be html or pdf' });
+    }
+    
+    const { order } = req;
+    
+    await order.populate([
+      { path: 'items.product', select: 'name' },
+      { path: 'user', select: 'name email' },
+      { path: 'community', select: 'name' }
+    ]);
+    
+    const invoice = buildOrderInvoice(order);
     
-    // Check if user is admin of this community
-    if (!user.isCommunityAdmin || 
-        user.community.toString() !== req.params.communityId) {
-      return res.status(401).json({ message: 'Not authorized' });
+    if (format === 'pdf') {
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${invoice.number}.pdf"`);
+      return res.send(await renderInvoicePdf(invoice));
     }
     
+    res.set('Content-Type', 'text/html');
+    res.send(renderInvoiceHtml(invoice));
+  } catch (error) {
+    console.error('Error generating invoice:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Refill the cart from a past order, skipping products that are no longer available
+router.post('/:id/reorder', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    
+    // Check if the order belongs to the user
+    if (order.user.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    let cart = await Cart.findOne({ user: req.user.id });
+    
+    if (!cart) {
+      cart = new Cart({ user: req.user.id, items: [] });
+    }
+    
+    const { added, skipped } = await addLinesToCart(cart, order.items);
+    
+    // Members of a community get the community discount, as when adding items one by one
+    if (req.user.community) {
+      cart.appliedCommunityDiscount = true;
+    }
+    
+    if (added.length > 0) {
+      await cart.save();
+    }
+    
+    await cart.populate('items.product');
+    
+    res.json({
+      message: added.length > 0
+        ? `Added ${added.length} of ${order.items.length} items to your cart`
+        : 'None of the items in this order are available',
+      cart,
+      added,
+      skipped
+    });
+  } catch (error) {
+    console.error('Error reordering:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get orders for a community (view_orders permission)
+router.get('/community/:communityId', communityAuth('view_orders'), async (req, res) => {
+  try {
     const orders = await Order.find({ 
       community: req.params.communityId,
       orderStatus: { $in: ['processing', 'shipped'] }
@@ -146,6 +402,128 @@ router.get('/community/:communityId', auth, async (req, res) => {
   }
 });
 
+// Update order status (walmart, admin or manage_orders in the order's community)
+router.put('/:id/status', orderAuth('manage_orders'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    const { order } = req;
+    
+    if (!Object.keys(Order.STATUS_TRANSITIONS).includes(status)) {
+      return res.status(400).json({ message: 'Invalid status' });
+    }
+    
+    if (!order.canTransitionTo(status)) {
+      return res.status(400).json({ 
+        message: `Cannot change order status from ${order.orderStatus} to ${status}`,
+        allowedStatuses: Order.STATUS_TRANSITIONS[order.orderStatus]
+      });
+    }
+    
+    if (status === 'cancelled') {
+      await cancelOrder(order, req.user._id, note);
+    } else {
+      await transitionOrder(order, status, req.user._id, note);
+    }
+    
+    res.json({
+      message: `Order status updated to ${status}`,
+      order
+    });
+  } catch (error) {
+    console.error('Error updating order status:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel own order
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    
+    // Check if the order belongs to the user
+    if (order.user.toString() !== req.user.id) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    if (order.orderStatus !== 'processing') {
+      return res.status(400).json({ message: `Order cannot be cancelled once it is ${order.orderStatus}` });
+    }
+    
+    // Group orders are placed after their cycle's cut-off, so they can be
+    // cancelled until the delivery sets off; individual orders only within a
+    // window after they were placed
+    if (order.deliveryCycle) {
+      const deliveryCycle = await DeliveryCycle.findById(order.deliveryCycle);
+      
+      if (deliveryCycle && deliveryCycle.status !== 'scheduled') {
+        return res.status(400).json({ message: `Order cannot be cancelled once its delivery is ${deliveryCycle.status}` });
+      }
+    } else {
+      const cancelDeadline = new Date(order.createdAt.getTime() + getCancelWindowHours() * 60 * 60 * 1000);
+      
+      if (cancelDeadline <= new Date()) {
+        return res.status(400).json({ 
+          message: `Orders can only be cancelled within ${getCancelWindowHours()} hours of being placed`,
+          cancelDeadline
+        });
+      }
+    }
+    
+    await cancelOrder(order, req.user._id, reason);
+    
+    res.json({
+      message: 'Order cancelled',
+      order
+    });
+  } catch (error) {
+    console.error('Error cancelling order:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update order payment status (walmart or admin only)
+router.put('/:id/payment-status', staffAuth, async (req, res) => {
+  try {
+    const { paymentStatus } = req.body;
+    
+    if (!['pending', 'completed', 'failed'].includes(paymentStatus)) {
+      return res.status(400).json({ message: 'Invalid payment status' });
+    }
+    
+    const order = await Order.findById(req.params.id);
+    
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    
+    order.paymentStatus = paymentStatus;
+    await order.save();
+    
+    res.json({
+      message: `Payment status updated to ${paymentStatus}`,
+      order
+    });
+  } catch (error) {
+    console.error('Error updating payment status:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get carbon footprint statistics for user
 router.get('/carbon-stats/user', auth, async (req, res) => {
   try {
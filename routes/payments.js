@@ -0,0 +1,29 @@
+const express = require('express');
+const { handlePaymentWebhook } = require('../utils/payments');
+const router = express.Router();
+
+/**
+ * @route   POST /api/payments/webhook/:provider
+ * @desc    Receive payment confirmations from a payment provider
+ * @access  Public (verified by the provider)
+ */
+router.post('/webhook/:provider', async (req, res) => {
+  try {
+    // Resolves to the order or settlement the transaction belongs to
+    const record = await handlePaymentWebhook(req.params.provider, req);
+    
+    if (!record) {
+      return res.status(404).json({ message: 'No payment found for this transaction' });
+    }
+    
+    res.json({ 
+      received: true,
+      id: record._id
+    });
+  } catch (error) {
+    console.error('Error handling payment webhook:', error.message);
+    res.status(400).json({ message: 'Invalid webhook', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,184 @@
 const express = require('express');
 const { auth, adminAuth, walmartAuth } = require('../middleware/auth');
 const Product = require('../models/Product');
+const StockAdjustment = require('../models/StockAdjustment');
+const {
+  parseCsv,
+  toCsv,
+  productToRow,
+  rowToJson,
+  validateCatalogRows,
+  applyCatalogRows
+} = require('../utils/productCatalog');
 const router = express.Router();
 
-// Get all products
+const SORT_OPTIONS = {
+  price_asc: { discountedPrice: 1, _id: 1 },
+  price_desc: { discountedPrice: -1, _id: 1 },
+  popularity: { popularityScore: -1, _id: 1 },
+  newest: { createdAt: -1, _id: -1 }
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Parse an optional numeric query parameter; NaN marks an invalid value
+const parseNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+// Aggregation conditions for a price falling between minPrice and maxPrice
+const priceInRange = (price, minPrice, maxPrice) => [
+  minPrice !== undefined && { $gte: [price, minPrice] },
+  maxPrice !== undefined && { $lte: [price, maxPrice] }
+].filter(Boolean);
+
+// Search, filter, sort and paginate products. Without page or limit the
+// response is the plain array of every match, as it was before paging.
 router.get('/', async (req, res) => {
   try {
-    const products = await Product.find({ inStock: true });
-    res.json(products);
+    const { q, category, sort } = req.query;
+    const isPaged = req.query.page !== undefined || req.query.limit !== undefined;
+    const minPrice = parseNumber(req.query.minPrice);
+    const maxPrice = parseNumber(req.query.maxPrice);
+    const minDiscount = parseNumber(req.query.minDiscount);
+    const minCarbonSaving = parseNumber(req.query.minCarbonSaving);
+    const page = parseNumber(req.query.page) || 1;
+    const limit = parseNumber(req.query.limit) || DEFAULT_PAGE_SIZE;
+    
+    const invalid = Object.entries({ minPrice, maxPrice, minDiscount, minCarbonSaving, page, limit })
+      .filter(([, value]) => value !== undefined && (isNaN(value) || value < 0))
+      .map(([name]) => name);
+    
+    if (invalid.length > 0 || page < 1 || limit < 1 || !Number.isInteger(page) || !Number.isInteger(limit)) {
+      return res.status(400).json({ 
+        message: 'Invalid query parameters',
+        invalid: invalid.length > 0 ? invalid : ['page', 'limit']
+      });
+    }
+    
+    if (sort && !SORT_OPTIONS[sort]) {
+      return res.status(400).json({ 
+        message: 'Invalid sort option',
+        allowedSorts: Object.keys(SORT_OPTIONS)
+      });
+    }
+    
+    const filter = { inStock: true };
+    
+    if (q) {
+      filter.$text = { $search: q };
+    }
+    
+    if (category) {
+      filter.category = category;
+    }
+    
+    // Price filters apply to the price after the product discount, and match
+    // a product when it or any of its active variants is in range
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      const discountedPrice = {};
+      if (minPrice !== undefined) discountedPrice.$gte = minPrice;
+      if (maxPrice !== undefined) discountedPrice.$lte = maxPrice;
+      
+      const variantPrice = {
+        $multiply: [
+          '$$variant.price',
+          { $subtract: [1, { $divide: [{ $ifNull: ['$discountPercentage', 0] }, 100] }] }
+        ]
+      };
+      
+      filter.$or = [
+        { discountedPrice },
+        {
+          $expr: {
+            $anyElementTrue: [{
+              $map: {
+                input: { $ifNull: ['$variants', []] },
+                as: 'variant',
+                in: { $and: [{ $ne: ['$$variant.isActive', false] }, ...priceInRange(variantPrice, minPrice, maxPrice)] }
+              }
+            }]
+          }
+        }
+      ];
+    }
+    
+    if (minDiscount !== undefined) {
+      filter.discountPercentage = { $gte: minDiscount };
+    }
+    
+    // Carbon saving is the per-unit difference between individual and community delivery
+    if (minCarbonSaving !== undefined) {
+      filter.$expr = {
+        $gte: [
+          { $subtract: ['$carbonFootprint.individual', '$carbonFootprint.community'] },
+          minCarbonSaving
+        ]
+      };
+    }
+    
+    // Text searches rank by relevance unless another order is requested
+    let sortBy = SORT_OPTIONS[sort] || SORT_OPTIONS.newest;
+    let projection = {};
+    if (q && !sort) {
+      projection = { score: { $meta: 'textScore' } };
+      sortBy = { score: { $meta: 'textScore' }, _id: 1 };
+    }
+    
+    if (!isPaged) {
+      return res.json(await Product.find(filter, projection).sort(sortBy));
+    }
+    
+    const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+    
+    const [products, total] = await Promise.all([
+      Product.find(filter, projection)
+        .sort(sortBy)
+        .skip((page - 1) * pageSize)
+        .limit(pageSize),
+      Product.countDocuments(filter)
+    ]);
+    
+    res.json({
+      products,
+      pagination: {
+        page,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    });
   } catch (error) {
     console.error('Error fetching products:', error.message);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Export the product catalog as CSV or JSON (walmart admin only)
+router.get('/export', walmartAuth, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ message: 'format must be csv or json' });
+    }
+    
+    const products = await Product.find().sort({ sku: 1, name: 1 });
+    const rows = products.map(productToRow);
+    
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', 'attachment; filename="products.csv"');
+      return res.send(toCsv(rows));
+    }
+    
+    res.set('Content-Disposition', 'attachment; filename="products.json"');
+    res.json(rows.map(rowToJson));
+  } catch (error) {
+    console.error('Error exporting products:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get product by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -53,9 +218,12 @@ router.post('/', walmartAuth, async (req, res) => {
       description, 
       price, 
       category, 
+      taxClass,
       imageUrl,
       communityDiscountPercentage,
-      carbonFootprint 
+      volumeTiers,
+      carbonFootprint,
+      stockQuantity
     } = req.body;
 
     const newProduct = new Product({
@@ -63,12 +231,28 @@ router.post('/', walmartAuth, async (req, res) => {
       description,
       price,
       category,
+      taxClass,
       imageUrl,
       communityDiscountPercentage,
-      carbonFootprint
+      volumeTiers,
+      carbonFootprint,
+      stockQuantity
     });
 
     const product = await newProduct.save();
+    
+    // Opening stock goes into the audit trail like any other adjustment
+    if (product.stockQuantity > 0) {
+      await StockAdjustment.create({
+        product: product._id,
+        adjustedBy: req.user._id,
+        change: product.stockQuantity,
+        previousQuantity: 0,
+        newQuantity: product.stockQuantity,
+        reason: 'Initial stock'
+      });
+    }
+
     res.status(201).json(product);
   } catch (error) {
     console.error('Error creating product:', error.message);
@@ -76,6 +260,68 @@ router.post('/', walmartAuth, async (req, res) => {
   }
 });
 
+// Bulk create or update products by SKU from CSV or JSON (walmart admin only)
+router.post('/import', walmartAuth, express.text({ type: 'text/csv', limit: '5mb' }), express.json({ limit: '5mb' }), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    
+    let rows;
+    if (req.is('text/csv')) {
+      rows = parseCsv(req.body || '');
+    } else {
+      rows = Array.isArray(req.body) ? req.body : req.body && req.body.products;
+    }
+    
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({ 
+        message: 'Send a CSV body (text/csv) or a JSON array of products' 
+      });
+    }
+    
+    const report = await validateCatalogRows(rows);
+    const invalidRows = report.filter(entry => entry.errors.length > 0);
+    
+    const summary = {
+      total: report.length,
+      valid: report.length - invalidRows.length,
+      invalid: invalidRows.length,
+      toCreate: report.filter(entry => entry.errors.length === 0 && entry.action === 'create').length,
+      toUpdate: report.filter(entry => entry.errors.length === 0 && entry.action === 'update').length
+    };
+    
+    const rowReport = report.map(({ row, sku, productId, action, errors }) => ({ row, sku, productId, action, errors }));
+    
+    if (dryRun) {
+      return res.json({
+        message: 'Dry run complete, no products were changed',
+        dryRun: true,
+        summary,
+        rows: rowReport
+      });
+    }
+    
+    // Nothing is written unless every row is valid
+    if (invalidRows.length > 0) {
+      return res.status(400).json({
+        message: 'Import rejected, fix the invalid rows and try again',
+        summary,
+        rows: rowReport
+      });
+    }
+    
+    const results = await applyCatalogRows(report, req.user._id);
+    
+    res.json({
+      message: `Imported ${results.length} products`,
+      summary,
+      rows: results
+    });
+  } catch (error) {
+    console.error('Error importing products:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update product (walmart admin only)
 router.put('/:id', walmartAuth, async (req, res) => {
   try {
@@ -90,9 +336,11 @@ router.put('/:id', walmartAuth, async (req, res) => {
       description, 
       price, 
       category, 
+      taxClass,
       imageUrl,
       inStock,
       communityDiscountPercentage,
+      volumeTiers,
       carbonFootprint,
       discountPercentage,
       discountedPrice
@@ -102,9 +350,11 @@ router.put('/:id', walmartAuth, async (req, res) => {
     if (description) product.description = description;
     if (price) product.price = price;
     if (category) product.category = category;
+    if (taxClass !== undefined) product.taxClass = taxClass || undefined;
     if (imageUrl) product.imageUrl = imageUrl;
     if (inStock !== undefined) product.inStock = inStock;
     if (communityDiscountPercentage) product.communityDiscountPercentage = communityDiscountPercentage;
+    if (volumeTiers !== undefined) product.volumeTiers = volumeTiers;
     if (carbonFootprint) product.carbonFootprint = carbonFootprint;
     if (discountPercentage !== undefined) product.discountPercentage = discountPercentage;
     if (discountedPrice !== undefined) product.discountedPrice = discountedPrice;
@@ -120,6 +370,238 @@ router.put('/:id', walmartAuth, async (req, res) => {
   }
 });
 
+// Fields a Walmart user can set on a variant
+const VARIANT_FIELDS = [
+  'sku',
+  'name',
+  'packSize',
+  'price',
+  'costPrice',
+  'operationalCost',
+  'volume',
+  'weight',
+  'communityDiscountPercentage',
+  'isActive'
+];
+
+// SKUs must be unique across products and their variants
+const isSkuTaken = async (sku, excludeVariantId) => {
+  const normalized = String(sku).trim().toUpperCase();
+  const product = await Product.findOne({
+    $or: [
+      { sku: normalized },
+      { variants: { $elemMatch: { sku: normalized, _id: { $ne: excludeVariantId } } } }
+    ]
+  });
+  return !!product;
+};
+
+// Add a variant or pack size to a product (walmart admin only)
+router.post('/:id/variants', walmartAuth, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    if (req.body.sku && await isSkuTaken(req.body.sku)) {
+      return res.status(400).json({ message: 'SKU is already in use' });
+    }
+    
+    const fields = {};
+    VARIANT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) fields[field] = req.body[field];
+    });
+    
+    const { stockQuantity } = req.body;
+    product.variants.push({ ...fields, stockQuantity });
+    const variant = product.variants[product.variants.length - 1];
+    
+    await product.save();
+    
+    if (variant.stockQuantity > 0) {
+      await StockAdjustment.create({
+        product: product._id,
+        variant: variant._id,
+        adjustedBy: req.user._id,
+        change: variant.stockQuantity,
+        previousQuantity: 0,
+        newQuantity: variant.stockQuantity,
+        reason: 'Initial stock'
+      });
+    }
+    
+    res.status(201).json(product);
+  } catch (error) {
+    console.error('Error adding product variant:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid product variant', error: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a product variant; stock changes go through the stock endpoint (walmart admin only)
+router.put('/:id/variants/:variantId', walmartAuth, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.variants.id(req.params.variantId);
+    
+    if (!variant) {
+      return res.status(404).json({ message: 'Product variant not found' });
+    }
+    
+    if (req.body.sku && await isSkuTaken(req.body.sku, variant._id)) {
+      return res.status(400).json({ message: 'SKU is already in use' });
+    }
+    
+    VARIANT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) variant[field] = req.body[field];
+    });
+    
+    await product.save();
+    res.json(product);
+  } catch (error) {
+    console.error('Error updating product variant:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Product variant not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid product variant', error: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Retire a product variant; it stays on the product so past orders still resolve (walmart admin only)
+router.delete('/:id/variants/:variantId', walmartAuth, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    const variant = product && product.variants.id(req.params.variantId);
+    
+    if (!variant) {
+      return res.status(404).json({ message: 'Product variant not found' });
+    }
+    
+    variant.isActive = false;
+    await product.save();
+    
+    res.json({ message: 'Product variant retired', product });
+  } catch (error) {
+    console.error('Error retiring product variant:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Product variant not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Adjust product or variant stock (walmart admin only)
+router.post('/:id/stock', walmartAuth, async (req, res) => {
+  try {
+    const { change, quantity, reason, variantId } = req.body;
+    
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason is required for stock adjustments' });
+    }
+    
+    if ((change === undefined) === (quantity === undefined)) {
+      return res.status(400).json({ message: 'Provide either change or quantity' });
+    }
+    
+    if (change !== undefined && !Number.isInteger(change)) {
+      return res.status(400).json({ message: 'change must be a whole number' });
+    }
+    
+    if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 0)) {
+      return res.status(400).json({ message: 'quantity must be a non-negative whole number' });
+    }
+    
+    const product = await Product.findById(req.params.id);
+    
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    
+    const unit = product.getUnit(variantId);
+    
+    if (!unit) {
+      return res.status(404).json({ message: 'Product variant not found' });
+    }
+    
+    const previousQuantity = unit.stockQuantity;
+    const newQuantity = quantity !== undefined ? quantity : previousQuantity + change;
+    
+    if (newQuantity < unit.reservedQuantity) {
+      return res.status(400).json({ 
+        message: 'Stock cannot go below the quantity reserved for orders',
+        reservedQuantity: unit.reservedQuantity
+      });
+    }
+    
+    // Only apply the change if nobody else adjusted the stock in the meantime
+    const updatedProduct = variantId
+      ? await Product.findOneAndUpdate(
+        { _id: product._id, variants: { $elemMatch: { _id: unit._id, stockQuantity: previousQuantity } } },
+        { $set: { 'variants.$.stockQuantity': newQuantity } },
+        { new: true }
+      )
+      : await Product.findOneAndUpdate(
+        { _id: product._id, stockQuantity: previousQuantity },
+        { stockQuantity: newQuantity },
+        { new: true }
+      );
+    
+    if (!updatedProduct) {
+      return res.status(409).json({ message: 'Stock changed while adjusting, please retry' });
+    }
+    
+    const adjustment = await StockAdjustment.create({
+      product: product._id,
+      variant: variantId ? unit._id : undefined,
+      adjustedBy: req.user._id,
+      change: newQuantity - previousQuantity,
+      previousQuantity,
+      newQuantity,
+      reason
+    });
+    
+    res.json({
+      product: updatedProduct,
+      adjustment
+    });
+  } catch (error) {
+    console.error('Error adjusting product stock:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get stock adjustment history for a product, optionally for one variant (walmart admin only)
+router.get('/:id/stock-history', walmartAuth, async (req, res) => {
+  try {
+    const filter = { product: req.params.id };
+    if (req.query.variantId) {
+      filter.variant = req.query.variantId;
+    }
+    
+    const adjustments = await StockAdjustment.find(filter)
+      .populate('adjustedBy', 'name email')
+      .sort({ createdAt: -1 });
+    
+    res.json(adjustments);
+  } catch (error) {
+    console.error('Error fetching stock history:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete product (walmart admin only)
 router.delete('/:id', walmartAuth, async (req, res) => {
   try {
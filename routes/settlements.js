@@ -0,0 +1,226 @@
+const express = require('express');
+const { auth, communityAuth, authorize, communityOf } = require('../middleware/auth');
+const Settlement = require('../models/Settlement');
+const { roundCurrency, markSharePaid, payShare, sendSettlementReminders } = require('../utils/settlements');
+const router = express.Router();
+
+// Require a permission in the community of the settlement named by :id
+const settlementAuth = (permission, options = {}) => authorize({
+  permission,
+  community: communityOf(Settlement),
+  ...options
+});
+
+// Get the user's own shares across community settlements
+router.get('/my', auth, async (req, res) => {
+  try {
+    const settlements = await Settlement.find({ 'shares.user': req.user._id })
+      .populate('community', 'name')
+      .sort({ createdAt: -1 });
+    
+    const shares = settlements.map(settlement => {
+      const share = settlement.shares.find(entry => entry.user.toString() === req.user.id);
+      
+      return {
+        settlementId: settlement._id,
+        community: settlement.community,
+        deliveryCycle: settlement.deliveryCycle,
+        createdAt: settlement.createdAt,
+        share,
+        balance: roundCurrency(share.amountDue - share.amountPaid)
+      };
+    });
+    
+    res.json(shares);
+  } catch (error) {
+    console.error('Error fetching settlement shares:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get settlements and outstanding balances for a community (manage_settlements permission)
+router.get('/community/:communityId', communityAuth('manage_settlements'), async (req, res) => {
+  try {
+    const settlements = await Settlement.find({ community: req.params.communityId })
+      .populate('shares.user', 'name email')
+      .sort({ createdAt: -1 });
+    
+    // Outstanding balance per member across all open settlements
+    const balances = new Map();
+    
+    settlements.forEach(settlement => {
+      settlement.shares.forEach(share => {
+        if (share.isClosed()) {
+          return;
+        }
+        
+        // A deleted member's user does not populate; keep their balance under the raw id
+        const memberId = (share.user ? share.user._id : share.populated('user')).toString();
+        if (!balances.has(memberId)) {
+          balances.set(memberId, { user: share.user || { _id: memberId }, balance: 0, settlements: 0 });
+        }
+        
+        const entry = balances.get(memberId);
+        entry.balance = roundCurrency(entry.balance + share.amountDue - share.amountPaid);
+        entry.settlements++;
+      });
+    });
+    
+    res.json({
+      settlements: settlements.map(settlement => ({
+        ...settlement.toObject(),
+        outstandingBalance: roundCurrency(settlement.getOutstandingBalance())
+      })),
+      outstandingByMember: Array.from(balances.values())
+    });
+  } catch (error) {
+    console.error('Error fetching community settlements:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Community not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get settlement by ID (manage_settlements permission or a member with a share)
+router.get('/:id', settlementAuth('manage_settlements', {
+  allow: req => req.settlement.shares.some(share => share.user.toString() === req.user.id)
+}), async (req, res) => {
+  try {
+    const { settlement } = req;
+    
+    await settlement.populate([
+      { path: 'community', select: 'name admin roles members' },
+      { path: 'shares.user', select: 'name email' }
+    ]);
+    
+    res.json({
+      ...settlement.toObject(),
+      outstandingBalance: roundCurrency(settlement.getOutstandingBalance())
+    });
+  } catch (error) {
+    console.error('Error fetching settlement:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Settlement not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pay own share of a settlement through the payment provider
+router.post('/:id/pay', auth, async (req, res) => {
+  try {
+    const { paymentToken } = req.body;
+    
+    const settlement = await Settlement.findById(req.params.id);
+    
+    if (!settlement) {
+      return res.status(404).json({ message: 'Settlement not found' });
+    }
+    
+    const share = settlement.shares.find(entry => entry.user.toString() === req.user.id);
+    
+    if (!share) {
+      return res.status(403).json({ message: 'You have no share in this settlement' });
+    }
+    
+    if (share.paymentStatus === 'paid') {
+      return res.status(400).json({ message: 'Your share has already been paid' });
+    }
+    
+    if (share.paymentStatus === 'cancelled') {
+      return res.status(400).json({ message: 'Your order was cancelled, so nothing is owed' });
+    }
+    
+    // An earlier payment may still go through; paying again would charge twice
+    if (share.paymentStatus === 'pending' && share.paymentTransactionId) {
+      return res.status(409).json({ 
+        message: 'Your payment is awaiting confirmation',
+        share
+      });
+    }
+    
+    await payShare(settlement, share, { paymentToken });
+    
+    if (share.paymentStatus === 'failed') {
+      return res.status(402).json({ message: 'Payment failed', share });
+    }
+    
+    res.json({
+      message: share.paymentStatus === 'paid'
+        ? 'Share paid successfully'
+        : 'Payment is awaiting confirmation',
+      share
+    });
+  } catch (error) {
+    console.error('Error paying settlement share:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Settlement not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Record an offline payment for a member's share (manage_settlements permission)
+router.put('/:id/shares/:userId', settlementAuth('manage_settlements'), async (req, res) => {
+  try {
+    const { settlement } = req;
+    
+    const share = settlement.shares.find(entry => entry.user.toString() === req.params.userId);
+    
+    if (!share) {
+      return res.status(404).json({ message: 'Member has no share in this settlement' });
+    }
+    
+    if (share.paymentStatus === 'paid') {
+      return res.status(400).json({ message: 'This share has already been paid' });
+    }
+    
+    if (share.paymentStatus === 'cancelled') {
+      return res.status(400).json({ message: 'This member\'s order was cancelled, so nothing is owed' });
+    }
+    
+    if (share.paymentStatus === 'pending' && share.paymentTransactionId) {
+      return res.status(409).json({ message: 'This share has a payment awaiting confirmation' });
+    }
+    
+    await markSharePaid(settlement, share, {
+      amount: roundCurrency(share.amountDue - share.amountPaid),
+      provider: 'offline'
+    });
+    
+    res.json({
+      message: 'Share marked as paid',
+      settlement
+    });
+  } catch (error) {
+    console.error('Error recording settlement payment:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Settlement or member not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remind members with an outstanding balance (manage_settlements permission)
+router.post('/:id/remind', settlementAuth('manage_settlements'), async (req, res) => {
+  try {
+    const { userIds } = req.body;
+    const { settlement } = req;
+    
+    const reminded = await sendSettlementReminders(settlement, req.community.name, userIds);
+    
+    res.json({
+      message: `Sent ${reminded} payment reminders`,
+      reminded
+    });
+  } catch (error) {
+    console.error('Error sending settlement reminders:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Settlement not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
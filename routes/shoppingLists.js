@@ -0,0 +1,254 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { auth } = require('../middleware/auth');
+const ShoppingList = require('../models/ShoppingList');
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const CommunityCart = require('../models/CommunityCart');
+const { addLinesToCart } = require('../utils/carts');
+const { addLinesToCommunityCart } = require('../utils/communityCarts');
+const router = express.Router();
+
+// Check list items before saving them; returns an error message or null
+const validateListItems = async (items) => {
+  if (!Array.isArray(items)) {
+    return 'Items must be an array';
+  }
+  
+  const invalidQuantity = items.find(item => !item || !Number.isInteger(item.quantity) || item.quantity < 1);
+  if (invalidQuantity) {
+    return 'Quantity must be a positive whole number';
+  }
+  
+  const invalidId = items.find(item => !mongoose.isValidObjectId(item.productId) ||
+    (item.variantId && !mongoose.isValidObjectId(item.variantId)));
+  if (invalidId) {
+    return 'Invalid product or variant ID';
+  }
+  
+  const products = await Product.find({ _id: { $in: items.map(item => item.productId) } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  
+  for (const item of items) {
+    const product = productsById.get(String(item.productId));
+    
+    if (!product) {
+      return `Product ${item.productId} not found`;
+    }
+    
+    const unit = product.getUnit(item.variantId);
+    if (!unit || unit.isActive === false) {
+      return `Variant ${item.variantId} of ${product.name} not found`;
+    }
+  }
+  
+  return null;
+};
+
+const toListItems = (items) => items.map(item => ({
+  product: item.productId,
+  variant: item.variantId || undefined,
+  quantity: item.quantity
+}));
+
+// Get the user's shopping lists
+router.get('/', auth, async (req, res) => {
+  try {
+    const shoppingLists = await ShoppingList.find({ user: req.user.id })
+      .populate('items.product', 'name price discountedPrice imageUrl inStock')
+      .sort({ name: 1 });
+    
+    res.json(shoppingLists);
+  } catch (error) {
+    console.error('Error fetching shopping lists:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a shopping list
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const shoppingList = await ShoppingList.findOne({ _id: req.params.id, user: req.user.id })
+      .populate('items.product');
+    
+    if (!shoppingList) {
+      return res.status(404).json({ message: 'Shopping list not found' });
+    }
+    
+    res.json(shoppingList);
+  } catch (error) {
+    console.error('Error fetching shopping list:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Shopping list not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a shopping list
+router.post('/', auth, async (req, res) => {
+  try {
+    const { name, items = [] } = req.body;
+    
+    const itemsError = await validateListItems(items);
+    if (itemsError) {
+      return res.status(400).json({ message: itemsError });
+    }
+    
+    const shoppingList = await ShoppingList.create({
+      user: req.user.id,
+      name,
+      items: toListItems(items)
+    });
+    
+    res.status(201).json(shoppingList);
+  } catch (error) {
+    console.error('Error creating shopping list:', error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid shopping list', error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You already have a shopping list with this name' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename a shopping list or replace its items
+router.put('/:id', auth, async (req, res) => {
+  try {
+    const { name, items } = req.body;
+    
+    const shoppingList = await ShoppingList.findOne({ _id: req.params.id, user: req.user.id });
+    
+    if (!shoppingList) {
+      return res.status(404).json({ message: 'Shopping list not found' });
+    }
+    
+    if (items !== undefined) {
+      const itemsError = await validateListItems(items);
+      if (itemsError) {
+        return res.status(400).json({ message: itemsError });
+      }
+      
+      shoppingList.items = toListItems(items);
+    }
+    
+    if (name !== undefined) shoppingList.name = name;
+    
+    await shoppingList.save();
+    res.json(shoppingList);
+  } catch (error) {
+    console.error('Error updating shopping list:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Shopping list not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid shopping list', error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'You already have a shopping list with this name' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a shopping list
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const shoppingList = await ShoppingList.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    
+    if (!shoppingList) {
+      return res.status(404).json({ message: 'Shopping list not found' });
+    }
+    
+    res.json({ message: 'Shopping list removed' });
+  } catch (error) {
+    console.error('Error deleting shopping list:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Shopping list not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add every item on a list to the personal cart or the community cart
+router.post('/:id/add-to-cart', auth, async (req, res) => {
+  try {
+    const { target = 'personal' } = req.body;
+    
+    if (!['personal', 'community'].includes(target)) {
+      return res.status(400).json({ message: 'target must be personal or community' });
+    }
+    
+    const shoppingList = await ShoppingList.findOne({ _id: req.params.id, user: req.user.id });
+    
+    if (!shoppingList) {
+      return res.status(404).json({ message: 'Shopping list not found' });
+    }
+    
+    if (shoppingList.items.length === 0) {
+      return res.status(400).json({ message: 'Shopping list is empty' });
+    }
+    
+    let cart;
+    let result;
+    
+    if (target === 'community') {
+      // Check if user is in a community
+      if (!req.user.community) {
+        return res.status(400).json({ message: 'You are not part of any community' });
+      }
+      
+      cart = await CommunityCart.findActive(req.user.community);
+      
+      if (!cart) {
+        cart = new CommunityCart({
+          community: req.user.community,
+          items: []
+        });
+      }
+      
+      result = await addLinesToCommunityCart(cart, req.user.id, shoppingList.items);
+    } else {
+      cart = await Cart.findOne({ user: req.user.id });
+      
+      if (!cart) {
+        cart = new Cart({ user: req.user.id, items: [] });
+      }
+      
+      result = await addLinesToCart(cart, shoppingList.items);
+      
+      // Members of a community get the community discount, as when adding items one by one
+      if (req.user.community) {
+        cart.appliedCommunityDiscount = true;
+      }
+    }
+    
+    if (result.added.length > 0) {
+      await cart.save();
+    }
+    
+    shoppingList.lastUsedAt = new Date();
+    await shoppingList.save();
+    
+    await cart.populate('items.product');
+    
+    res.json({
+      message: result.added.length > 0
+        ? `Added ${result.added.length} of ${shoppingList.items.length} items to your ${target} cart`
+        : 'None of the items on this list are available',
+      cart,
+      added: result.added,
+      skipped: result.skipped
+    });
+  } catch (error) {
+    console.error('Error adding shopping list to cart:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Shopping list not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
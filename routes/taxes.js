@@ -0,0 +1,174 @@
+const express = require('express');
+const { walmartAuth } = require('../middleware/auth');
+const TaxRate = require('../models/TaxRate');
+const TaxClass = require('../models/TaxClass');
+const router = express.Router();
+
+// Fields a Walmart user can set on a tax rate or tax class
+const TAX_RATE_FIELDS = ['state', 'zipCode', 'rate', 'classRates', 'description', 'isActive'];
+const TAX_CLASS_FIELDS = ['name', 'description', 'categories'];
+
+const pickFields = (body, fields) => {
+  const values = {};
+  fields.forEach(field => {
+    if (body[field] !== undefined) values[field] = body[field];
+  });
+  return values;
+};
+
+// Get all tax rates, optionally for one state (walmart admin only)
+router.get('/rates', walmartAuth, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.state) {
+      filter.state = req.query.state.toUpperCase();
+    }
+    
+    const taxRates = await TaxRate.find(filter).sort({ state: 1, zipCode: 1 });
+    res.json(taxRates);
+  } catch (error) {
+    console.error('Error fetching tax rates:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create tax rate for a state or zip code (walmart admin only)
+router.post('/rates', walmartAuth, async (req, res) => {
+  try {
+    const taxRate = await TaxRate.create(pickFields(req.body, TAX_RATE_FIELDS));
+    res.status(201).json(taxRate);
+  } catch (error) {
+    console.error('Error creating tax rate:', error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid tax rate', error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A tax rate for this state and zip code already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update tax rate (walmart admin only)
+router.put('/rates/:id', walmartAuth, async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findById(req.params.id);
+    
+    if (!taxRate) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+    
+    taxRate.set(pickFields(req.body, TAX_RATE_FIELDS));
+    await taxRate.save();
+    
+    res.json(taxRate);
+  } catch (error) {
+    console.error('Error updating tax rate:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid tax rate', error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A tax rate for this state and zip code already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete tax rate (walmart admin only)
+router.delete('/rates/:id', walmartAuth, async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findByIdAndDelete(req.params.id);
+    
+    if (!taxRate) {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+    
+    res.json({ message: 'Tax rate removed' });
+  } catch (error) {
+    console.error('Error deleting tax rate:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Tax rate not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get all tax classes (walmart admin only)
+router.get('/classes', walmartAuth, async (req, res) => {
+  try {
+    const taxClasses = await TaxClass.find().sort({ name: 1 });
+    res.json(taxClasses);
+  } catch (error) {
+    console.error('Error fetching tax classes:', error.message);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create tax class for a set of categories (walmart admin only)
+router.post('/classes', walmartAuth, async (req, res) => {
+  try {
+    const taxClass = await TaxClass.create(pickFields(req.body, TAX_CLASS_FIELDS));
+    res.status(201).json(taxClass);
+  } catch (error) {
+    console.error('Error creating tax class:', error.message);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid tax class', error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A tax class with this name already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update tax class (walmart admin only)
+router.put('/classes/:id', walmartAuth, async (req, res) => {
+  try {
+    const taxClass = await TaxClass.findById(req.params.id);
+    
+    if (!taxClass) {
+      return res.status(404).json({ message: 'Tax class not found' });
+    }
+    
+    taxClass.set(pickFields(req.body, TAX_CLASS_FIELDS));
+    await taxClass.save();
+    
+    res.json(taxClass);
+  } catch (error) {
+    console.error('Error updating tax class:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Tax class not found' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid tax class', error: error.message });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A tax class with this name already exists' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete tax class; its categories fall back to the standard class (walmart admin only)
+router.delete('/classes/:id', walmartAuth, async (req, res) => {
+  try {
+    const taxClass = await TaxClass.findByIdAndDelete(req.params.id);
+    
+    if (!taxClass) {
+      return res.status(404).json({ message: 'Tax class not found' });
+    }
+    
+    res.json({ message: 'Tax class removed' });
+  } catch (error) {
+    console.error('Error deleting tax class:', error.message);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Tax class not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -115,7 +115,10 @@ router.get('/me', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
-    res.json(user);
+    res.json({
+      ...user.toObject(),
+      communityRole: user.community ? user.community.getMemberRole(user._id) : null
+    });
   } catch (error) {
     console.error('Error in fetching user profile:', error.message);
     res.status(500).json({ message: 'Server error' });
@@ -0,0 +1,88 @@
+// importZipCodes.js
+const fs = require('fs');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+const ZipCode = require('../models/ZipCode');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+// Zip code centres come from a tab or comma separated file with a header row,
+// such as the US Census Bureau's ZCTA gazetteer file (GEOID, INTPTLAT, INTPTLONG):
+// `node seeds/importZipCodes.js 2023_Gaz_zcta_national.txt`
+const ZIP_COLUMNS = ['GEOID', 'zipCode', 'zip'];
+const LATITUDE_COLUMNS = ['INTPTLAT', 'latitude', 'lat'];
+const LONGITUDE_COLUMNS = ['INTPTLONG', 'longitude', 'lng'];
+const BATCH_SIZE = 1000;
+
+const filePath = process.argv[2];
+
+if (!filePath) {
+  console.error('Usage: node seeds/importZipCodes.js <zip code file>');
+  process.exit(1);
+}
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => console.log('MongoDB connected for importing zip codes'))
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+// Read the file into { zipCode, latitude, longitude } rows, skipping unusable lines
+const readZipCodes = (text) => {
+  const [headerLine, ...lines] = text.split(/\r?\n/).filter(line => line.trim() !== '');
+  const separator = headerLine.includes('\t') ? '\t' : ',';
+  const header = headerLine.split(separator).map(column => column.trim());
+  
+  const findColumn = (names) => header.findIndex(column => names.includes(column));
+  const zipIndex = findColumn(ZIP_COLUMNS);
+  const latitudeIndex = findColumn(LATITUDE_COLUMNS);
+  const longitudeIndex = findColumn(LONGITUDE_COLUMNS);
+  
+  if (zipIndex === -1 || latitudeIndex === -1 || longitudeIndex === -1) {
+    throw new Error(`The header must name a zip code (${ZIP_COLUMNS.join('/')}), latitude (${LATITUDE_COLUMNS.join('/')}) and longitude (${LONGITUDE_COLUMNS.join('/')}) column`);
+  }
+  
+  return lines
+    .map(line => {
+      const cells = line.split(separator).map(cell => cell.trim());
+      return {
+        zipCode: cells[zipIndex],
+        latitude: Number(cells[latitudeIndex]),
+        longitude: Number(cells[longitudeIndex])
+      };
+    })
+    .filter(row => row.zipCode && !isNaN(row.latitude) && !isNaN(row.longitude));
+};
+
+// Create or update a zip code centre for every row in the file
+const importZipCodes = async () => {
+  try {
+    const rows = readZipCodes(fs.readFileSync(filePath, 'utf8'));
+    console.log(`Found ${rows.length} zip codes to import`);
+    
+    await ZipCode.syncIndexes();
+    
+    for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+      await ZipCode.bulkWrite(rows.slice(start, start + BATCH_SIZE).map(row => ({
+        updateOne: {
+          filter: { zipCode: row.zipCode },
+          update: { $set: { latitude: row.latitude, longitude: row.longitude } },
+          upsert: true
+        }
+      })));
+    }
+    
+    console.log(`Imported ${rows.length} zip codes successfully`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error importing zip codes:', error);
+    process.exit(1);
+  }
+};
+
+// Run the import function
+importZipCodes();
@@ -5,6 +5,8 @@ const Product = require('../models/Product');
 const Community = require('../models/Community');
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
+const TaxRate = require('../models/TaxRate');
+const TaxClass = require('../models/TaxClass');
 const bcrypt = require('bcryptjs');
 const path = require('path');
 
@@ -79,6 +81,7 @@ const users = [
 
 const products = [
   {
+    sku: 'GRO-BANANA-5',
     name: 'Organic Bananas',
     description: 'Fresh organic bananas, bundle of 5',
     price: 3.99,
@@ -86,6 +89,11 @@ const products = [
     operationalCost: 0.25, // Low operational cost as requested
     category: 'Groceries',
     communityDiscountPercentage: 10,
+    volumeTiers: [
+      { minQuantity: 10, discountPercentage: 12 },
+      { minQuantity: 25, discountPercentage: 15 },
+      { minQuantity: 50, discountPercentage: 20 }
+    ],
     imageUrl: 'https://www.bbassets.com/media/uploads/p/l/10000025_32-fresho-banana-robusta.jpg',
     carbonFootprint: {
       individual: 2.5,
@@ -93,6 +101,7 @@ const products = [
     }
   },
   {
+    sku: 'GRO-BREAD-WW',
     name: 'Whole Wheat Bread',
     description: 'Freshly baked whole wheat bread',
     price: 4.49,
@@ -107,6 +116,7 @@ const products = [
     }
   },
   {
+    sku: 'GRO-ALMILK-64',
     name: 'Almond Milk',
     description: 'Unsweetened almond milk, 64 oz',
     price: 3.79,
@@ -115,12 +125,16 @@ const products = [
     category: 'Groceries',
     communityDiscountPercentage: 5,
     imageUrl: 'https://almondcow.co/cdn/shop/articles/Almond_Milk_2200x.png?v=1620760522',
+    variants: [
+      { sku: 'GRO-ALMILK-64-6PK', name: '6-pack', packSize: 6, price: 20.99, stockQuantity: 40 }
+    ],
     carbonFootprint: {
       individual: 2.0,
       community: 0.7
     }
   },
   {
+    sku: 'HH-TOWEL-6',
     name: 'Paper Towels',
     description: 'Pack of 6 rolls, select-a-size',
     price: 9.99,
@@ -128,13 +142,21 @@ const products = [
     operationalCost: 0.30, // Low operational cost as requested
     category: 'Household',
     communityDiscountPercentage: 15,
+    volumeTiers: [
+      { minQuantity: 24, discountPercentage: 18 },
+      { minQuantity: 48, discountPercentage: 22 }
+    ],
     imageUrl: 'https://m.media-amazon.com/images/I/51ItL9ls41L._SX522_.jpg',
+    variants: [
+      { sku: 'HH-TOWEL-6-CASE4', name: 'Case of 4 packs', packSize: 4, price: 35.99, stockQuantity: 30 }
+    ],
     carbonFootprint: {
       individual: 3.5,
       community: 1.2
     }
   },
   {
+    sku: 'HH-DISHSOAP-32',
     name: 'Dish Soap',
     description: 'Liquid dish soap, lemon scent, 32 oz',
     price: 2.99,
@@ -143,12 +165,17 @@ const products = [
     category: 'Household',
     communityDiscountPercentage: 10,
     imageUrl: 'https://m.media-amazon.com/images/I/61Cq5MJJfaL._SX522_.jpg',
+    variants: [
+      { sku: 'HH-DISHSOAP-32-6PK', name: '6-pack', packSize: 6, price: 15.99, stockQuantity: 50 },
+      { sku: 'HH-DISHSOAP-32-CASE24', name: 'Case of 24', packSize: 24, price: 59.99, stockQuantity: 20 }
+    ],
     carbonFootprint: {
       individual: 1.5,
       community: 0.5
     }
   },
   {
+    sku: 'HLT-IBU-100',
     name: 'Ibuprofen',
     description: 'Pain reliever/fever reducer, 100 tablets',
     price: 7.49,
@@ -163,6 +190,7 @@ const products = [
     }
   },
   {
+    sku: 'HLT-TPASTE-52',
     name: 'Toothpaste',
     description: 'Mint flavor, cavity protection, 5.2 oz',
     price: 3.29,
@@ -187,6 +215,8 @@ const seedDatabase = async () => {
     await Community.deleteMany({});
     await Order.deleteMany({});
     await Cart.deleteMany({});
+    await TaxRate.deleteMany({});
+    await TaxClass.deleteMany({});
     
     console.log('Database cleared');
     
@@ -194,10 +224,25 @@ const seedDatabase = async () => {
     const createdUsers = await User.create(users);
     console.log(`${createdUsers.length} users created`);
     
-    // Create products
-    const createdProducts = await Product.create(products);
+    // Create products with opening stock
+    const createdProducts = await Product.create(
+      products.map(product => ({ stockQuantity: 200, ...product }))
+    );
     console.log(`${createdProducts.length} products created`);
     
+    // Create sales tax configuration; groceries are exempt in New York
+    await TaxClass.create({
+      name: 'grocery',
+      description: 'Food for home consumption',
+      categories: ['Groceries']
+    });
+    await TaxRate.create([
+      { state: 'NY', rate: 4, classRates: [{ taxClass: 'grocery', rate: 0 }], description: 'New York State' },
+      { state: 'NY', zipCode: '10001', rate: 8.875, classRates: [{ taxClass: 'grocery', rate: 0 }], description: 'New York City' },
+      { state: 'AR', rate: 6.5, classRates: [{ taxClass: 'grocery', rate: 0.125 }], description: 'Arkansas' }
+    ]);
+    console.log('Tax rates created');
+    
     // Create a community
     const community = await Community.create({
       name: 'Downtown Apartments',
@@ -206,7 +251,11 @@ const seedDatabase = async () => {
         address: '456 Main St',
         city: 'New York',
         state: 'NY',
-        zipCode: '10001'
+        zipCode: '10001',
+        coordinates: {
+          latitude: 40.7506,
+          longitude: -73.9972
+        }
       },
       admin: createdUsers[1]._id, // John Doe
       members: [createdUsers[1]._id, createdUsers[2]._id], // John and Jane
@@ -230,7 +279,11 @@ const seedDatabase = async () => {
         address: '101 Pine St',
         city: 'New York',
         state: 'NY',
-        zipCode: '10001'
+        zipCode: '10001',
+        coordinates: {
+          latitude: 40.7484,
+          longitude: -73.9857
+        }
       },
       admin: createdUsers[3]._id, // Mike Johnson
       members: [createdUsers[3]._id],
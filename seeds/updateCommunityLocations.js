@@ -0,0 +1,45 @@
+// updateCommunityLocations.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+const Community = require('../models/Community');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => console.log('MongoDB connected for updating community locations'))
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+// Fill in the GeoJSON point for communities saved before it existed
+const updateCommunityLocations = async () => {
+  try {
+    await Community.syncIndexes();
+    
+    const communities = await Community.find({
+      'location.coordinates.latitude': { $type: 'number' },
+      'location.coordinates.longitude': { $type: 'number' },
+      'location.point': { $exists: false }
+    });
+    console.log(`Found ${communities.length} communities to update`);
+    
+    for (const community of communities) {
+      // The pre-save hook builds the point from latitude/longitude
+      await community.save();
+      console.log(`Updated community: ${community.name}`);
+    }
+    
+    console.log(`Updated ${communities.length} communities successfully`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error updating communities:', error);
+    process.exit(1);
+  }
+};
+
+// Run the update function
+updateCommunityLocations();
@@ -0,0 +1,78 @@
+// updateProductStock.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+const Product = require('../models/Product');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+// Units given to products and variants that are in stock but have never had a
+// stock count: `node seeds/updateProductStock.js 250`
+const DEFAULT_STOCK_QUANTITY = 100;
+const stockQuantity = process.argv[2] !== undefined ? Number(process.argv[2]) : DEFAULT_STOCK_QUANTITY;
+
+if (!Number.isInteger(stockQuantity) || stockQuantity < 0) {
+  console.error('Stock quantity must be a non-negative whole number');
+  process.exit(1);
+}
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => console.log('MongoDB connected for updating product stock'))
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+// Give products saved before stock tracking a stock count; products marked
+// out of stock start at 0
+const updateProductStock = async () => {
+  try {
+    const missingStock = { stockQuantity: { $exists: false } };
+    
+    const inStock = await Product.updateMany(
+      { ...missingStock, inStock: { $ne: false } },
+      { $set: { stockQuantity } }
+    );
+    const outOfStock = await Product.updateMany(
+      { ...missingStock, inStock: false },
+      { $set: { stockQuantity: 0 } }
+    );
+    const reserved = await Product.updateMany(
+      { reservedQuantity: { $exists: false } },
+      { $set: { reservedQuantity: 0 } }
+    );
+    console.log(`Set stock on ${inStock.modifiedCount + outOfStock.modifiedCount} products and reservations on ${reserved.modifiedCount}`);
+    
+    // Variants follow their product's inStock flag
+    const variantMissingStock = { variants: { $elemMatch: { stockQuantity: { $exists: false } } } };
+    const missingStockFilter = { arrayFilters: [{ 'variant.stockQuantity': { $exists: false } }] };
+    
+    const variantInStock = await Product.updateMany(
+      { ...variantMissingStock, inStock: { $ne: false } },
+      { $set: { 'variants.$[variant].stockQuantity': stockQuantity } },
+      missingStockFilter
+    );
+    const variantOutOfStock = await Product.updateMany(
+      { ...variantMissingStock, inStock: false },
+      { $set: { 'variants.$[variant].stockQuantity': 0 } },
+      missingStockFilter
+    );
+    const variantReserved = await Product.updateMany(
+      { variants: { $elemMatch: { reservedQuantity: { $exists: false } } } },
+      { $set: { 'variants.$[variant].reservedQuantity': 0 } },
+      { arrayFilters: [{ 'variant.reservedQuantity': { $exists: false } }] }
+    );
+    console.log(`Set stock on variants of ${variantInStock.modifiedCount + variantOutOfStock.modifiedCount} products and reservations on ${variantReserved.modifiedCount}`);
+    
+    console.log('Product stock updated successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error updating product stock:', error);
+    process.exit(1);
+  }
+};
+
+// Run the update function
+updateProductStock();
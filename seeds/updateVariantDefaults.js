@@ -0,0 +1,72 @@
+// updateVariantDefaults.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+const Product = require('../models/Product');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+// Variant fields that default to the product's value, and whether the default
+// is scaled by the pack size
+const INHERITED_FIELDS = [
+  { field: 'costPrice', scaleByPackSize: true },
+  { field: 'operationalCost', scaleByPackSize: false },
+  { field: 'volume', scaleByPackSize: true },
+  { field: 'weight', scaleByPackSize: true },
+  { field: 'communityDiscountPercentage', scaleByPackSize: false }
+];
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI)
+  .then(() => console.log('MongoDB connected for updating variant defaults'))
+  .catch(err => {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  });
+
+// Variants used to get a copy of the product's values when they were saved.
+// Clear copies that still match the product so the variant follows it again;
+// values that differ are kept as the variant's own.
+const updateVariantDefaults = async () => {
+  try {
+    const products = await Product.find({ 'variants.0': { $exists: true } });
+    let clearedCount = 0;
+    
+    for (const product of products) {
+      let changed = false;
+      
+      product.variants.forEach(variant => {
+        INHERITED_FIELDS.forEach(({ field, scaleByPackSize }) => {
+          const storedValue = variant.get(field, null, { getters: false });
+          
+          if (storedValue === undefined || storedValue === null || product[field] === undefined) {
+            return;
+          }
+          
+          const inheritedValue = scaleByPackSize ? product[field] * variant.packSize : product[field];
+          
+          if (Math.abs(storedValue - inheritedValue) < 1e-9) {
+            variant.set(field, undefined);
+            clearedCount++;
+            changed = true;
+          }
+        });
+      });
+      
+      if (changed) {
+        await product.save();
+        console.log(`Updated product: ${product.name}`);
+      }
+    }
+    
+    console.log(`Cleared ${clearedCount} copied variant values successfully`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error updating variant defaults:', error);
+    process.exit(1);
+  }
+};
+
+// Run the update function
+updateVariantDefaults();
@@ -17,6 +17,13 @@ const communityCartRoutes = require('./routes/communityCarts');
 const pricingRoutes = require('./routes/pricing');
 const notificationRoutes = require('./routes/notifications');
 const logisticsRoutes = require('./routes/logistics');
+const deliveryScheduleRoutes = require('./routes/deliverySchedules');
+const paymentRoutes = require('./routes/payments');
+const settlementRoutes = require('./routes/settlements');
+const couponRoutes = require('./routes/coupons');
+const taxRoutes = require('./routes/taxes');
+const shoppingListRoutes = require('./routes/shoppingLists');
+const { startScheduler } = require('./jobs/scheduler');
 
 // Load environment variables
 dotenv.config();
@@ -25,22 +32,42 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Connect to MongoDB
+// Connect to MongoDB. Orders are placed in transactions, which need a replica set.
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('MongoDB connected'))
+  .then(async () => {
+    console.log('MongoDB connected');
+    
+    const { setName } = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!setName) {
+      console.error('MongoDB must run as a replica set: order placement uses transactions. Start mongod with --replSet rs0, run rs.initiate() once and add ?replicaSet=rs0 to MONGODB_URI.');
+      process.exit(1);
+    }
+    
+    startScheduler();
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Enhanced CORS configuration
 const corsOptions = {
   origin: ['http://localhost:3000', 'https://lastmile-frontend.vercel.app', 'https://last-mile-theta.vercel.app'],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true
 };
 
 // Middleware
 app.use(cors(corsOptions));
-app.use(express.json());
+
+// The catalog import parses its own bodies, which may be larger than the default limit
+const jsonParser = express.json();
+app.use((req, res, next) => {
+  if (req.method === 'POST' && req.path === '/api/products/import') {
+    return next();
+  }
+  
+  jsonParser(req, res, next);
+});
 app.use(morgan('dev'));
 
 // API Routes
@@ -55,6 +82,12 @@ app.use('/api/community-carts', communityCartRoutes);
 app.use('/api/pricing', pricingRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/logistics', logisticsRoutes);
+app.use('/api/delivery-schedules', deliveryScheduleRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/settlements', settlementRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/taxes', taxRoutes);
+app.use('/api/shopping-lists', shoppingListRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -0,0 +1,77 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const CommunityCart = require('../models/CommunityCart');
+const Community = require('../models/Community');
+const Product = require('../models/Product');
+const TaxRate = require('../models/TaxRate');
+const TaxClass = require('../models/TaxClass');
+
+// The tests run without a database: lookups the cart's pre-save hook makes are
+// stubbed and the insert itself is replaced
+const stubs = [];
+const stub = (target, name, value) => {
+  stubs.push([target, name, target[name]]);
+  target[name] = value;
+};
+
+afterEach(() => {
+  while (stubs.length > 0) {
+    const [target, name, original] = stubs.pop();
+    target[name] = original;
+  }
+});
+
+const stubDatabase = () => {
+  stub(Community, 'findById', () => ({ select: async () => null }));
+  stub(TaxRate, 'findForAddress', async () => null);
+  stub(TaxClass, 'find', async () => []);
+  stub(CommunityCart.collection, 'insertOne', async () => ({ acknowledged: true }));
+};
+
+const buildProduct = () => new Product({
+  name: 'Rice',
+  description: '5kg bag of rice',
+  price: 10,
+  category: 'pantry',
+  image: 'rice.jpg',
+  communityDiscountPercentage: 0,
+  stockQuantity: 50,
+  carbonFootprint: { individual: 2, community: 1 }
+});
+
+test('saves a community cart whose product was deleted', async () => {
+  stubDatabase();
+  
+  const product = buildProduct();
+  const deletedProductId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  
+  const cart = new CommunityCart({
+    community: new mongoose.Types.ObjectId(),
+    items: [
+      { product: product._id, quantity: 2, addedBy: userId },
+      { product: deletedProductId, quantity: 3, addedBy: userId }
+    ]
+  });
+  
+  // Populating a deleted product leaves the line's product null
+  stub(cart, 'populate', async function(path) {
+    if (path === 'items.product') {
+      this.items[0].product = product;
+      this.items[1].product = null;
+    }
+    return this;
+  });
+  
+  await cart.save();
+  
+  const [availableLine, deletedLine] = cart.items;
+  assert.strictEqual(availableLine.pricing.lineTotal, 20);
+  assert.strictEqual(availableLine.pricing.taxClass, 'standard');
+  assert.strictEqual(deletedLine.pricing.unitPrice, 0);
+  assert.strictEqual(deletedLine.pricing.lineTotal, 0);
+  assert.strictEqual(deletedLine.pricing.taxClass, undefined);
+  assert.strictEqual(cart.subtotal, 20);
+  assert.strictEqual(cart.totalCarbonFootprint.community, 2);
+});
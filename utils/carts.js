@@ -0,0 +1,92 @@
+const Product = require('../models/Product');
+const { checkAvailability, isSameLine } = require('./inventory');
+
+const lineKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+/**
+ * Check lines against the catalog and stock before they go into a cart.
+ * Quantities already in the cart (existingItems) count towards stock.
+ * Returns the lines that can be added and the lines skipped, with a reason.
+ */
+const checkCartLines = async (lines, existingItems) => {
+  const productIdOf = (line) => (line.product && line.product._id ? line.product._id : line.product).toString();
+  const products = await Product.find({ _id: { $in: [...new Set(lines.map(productIdOf))] } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+  
+  // Units accepted so far per line, for lists that repeat a product
+  const pendingQuantities = new Map();
+  const accepted = [];
+  const skipped = [];
+  
+  lines.forEach(line => {
+    const productId = productIdOf(line);
+    const variantId = line.variant ? line.variant.toString() : undefined;
+    const product = productsById.get(productId);
+    const entry = { product: productId, variant: variantId, quantity: line.quantity };
+    
+    if (!product) {
+      skipped.push({ ...entry, reason: 'Product is no longer available' });
+      return;
+    }
+    
+    entry.name = product.name;
+    
+    const unit = product.getUnit(variantId);
+    if (!unit || unit.isActive === false) {
+      skipped.push({ ...entry, reason: 'Product variant is no longer available' });
+      return;
+    }
+    
+    if (variantId) {
+      entry.variantName = unit.name;
+    }
+    
+    const key = lineKey(productId, variantId);
+    const existingItem = existingItems.find(item => isSameLine(item, productId, variantId));
+    const quantityInCart = (existingItem ? existingItem.quantity : 0) + (pendingQuantities.get(key) || 0);
+    
+    if (!product.inStock || unit.availableQuantity === 0) {
+      skipped.push({ ...entry, reason: 'Out of stock' });
+      return;
+    }
+    
+    if (!checkAvailability(unit, quantityInCart + line.quantity)) {
+      skipped.push({
+        ...entry,
+        reason: 'Not enough stock available',
+        availableQuantity: Math.max(0, unit.availableQuantity - quantityInCart)
+      });
+      return;
+    }
+    
+    pendingQuantities.set(key, (pendingQuantities.get(key) || 0) + line.quantity);
+    accepted.push(entry);
+  });
+  
+  return { accepted, skipped };
+};
+
+/**
+ * Add lines to a personal cart, skipping any that cannot be fulfilled.
+ * The cart is not saved.
+ */
+const addLinesToCart = async (cart, lines) => {
+  const { accepted, skipped } = await checkCartLines(lines, cart.items);
+  
+  accepted.forEach(line => {
+    const item = cart.items.find(cartItem => isSameLine(cartItem, line.product, line.variant));
+    
+    if (item) {
+      item.quantity += line.quantity;
+    } else {
+      cart.items.push({ product: line.product, variant: line.variant, quantity: line.quantity });
+    }
+  });
+  
+  return { added: accepted, skipped };
+};
+
+module.exports = {
+  checkCartLines,
+  addLinesToCart
+};
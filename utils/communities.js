@@ -0,0 +1,131 @@
+const Community = require('../models/Community');
+const CommunityInvite = require('../models/CommunityInvite');
+const User = require('../models/User');
+const { withdrawMemberFromOpenCarts } = require('./communityCarts');
+
+const isMember = (community, userId) => {
+  return community.members.some(memberId => memberId.toString() === userId.toString());
+};
+
+/**
+ * Add a user to a community's members and point the user at it. The caller
+ * saves the community.
+ */
+const addMember = async (community, userId) => {
+  if (!isMember(community, userId)) {
+    community.members.push(userId);
+  }
+  
+  await User.findByIdAndUpdate(userId, { community: community._id });
+};
+
+/**
+ * Keep User.isCommunityAdmin in step with the user's roles: it is set while
+ * the user owns a community or holds an admin or moderator role in one
+ */
+const syncCommunityAdminFlag = async (userId) => {
+  const hasRole = await Community.exists({
+    $or: [{ admin: userId }, { 'roles.user': userId }]
+  });
+  
+  await User.findByIdAndUpdate(userId, { isCommunityAdmin: !!hasRole });
+};
+
+/**
+ * Give a member the admin or moderator role, or take it away with 'member'
+ */
+const setMemberRole = async (community, userId, role, assignedBy) => {
+  community.roles = community.roles.filter(entry => entry.user.toString() !== userId.toString());
+  
+  if (role !== 'member') {
+    community.roles.push({ user: userId, role, assignedBy });
+  }
+  
+  await community.save();
+  await syncCommunityAdminFlag(userId);
+  
+  return community;
+};
+
+/**
+ * Take a member out of a community: drop them from the member list and any
+ * role, record why in formerMembers, clear their community on the user and
+ * withdraw their shares of open community-cart lines. The owner has to hand
+ * over ownership before they can be removed.
+ */
+const removeMember = async (community, userId, { removedBy, reason = '' } = {}) => {
+  const withdrawnLines = await withdrawMemberFromOpenCarts(community._id, userId);
+  
+  community.members.pull(userId);
+  community.roles = community.roles.filter(entry => entry.user.toString() !== userId.toString());
+  community.formerMembers.push({ user: userId, removedBy, reason });
+  await community.save();
+  
+  // Only clear the user's community if it still points at this one
+  await User.updateOne(
+    { _id: userId, community: community._id },
+    { $unset: { community: '' } }
+  );
+  await syncCommunityAdminFlag(userId);
+  
+  return { withdrawnLines };
+};
+
+/**
+ * Hand ownership of a community (its admin field) to another member. The
+ * new owner's previous role entry is dropped and both users'
+ * isCommunityAdmin flags are updated.
+ */
+const transferAdmin = async (community, newAdminId) => {
+  const previousAdminId = community.admin;
+  
+  community.admin = newAdminId;
+  community.roles = community.roles.filter(entry => entry.user.toString() !== newAdminId.toString());
+  await community.save();
+  
+  await User.findByIdAndUpdate(newAdminId, { isCommunityAdmin: true, community: community._id });
+  
+  // The previous owner stays a member
+  await syncCommunityAdminFlag(previousAdminId);
+  
+  return community;
+};
+
+/**
+ * Count one redemption against an invite. Returns false if the invite was
+ * revoked, expired or used up in the meantime.
+ */
+const claimInviteUse = async (inviteId, now = new Date()) => {
+  const result = await CommunityInvite.updateOne(
+    {
+      _id: inviteId,
+      isActive: true,
+      $and: [
+        { $or: [{ expiresAt: { $exists: false } }, { expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxUses: { $exists: false } }, { maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }] }
+      ]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Shareable join link for an invite code, when INVITE_LINK_BASE_URL is set
+ */
+const getInviteLink = (code) => {
+  const baseUrl = process.env.INVITE_LINK_BASE_URL;
+  return baseUrl ? `${baseUrl.replace(/\/+$/, '')}/${code}` : undefined;
+};
+
+module.exports = {
+  isMember,
+  addMember,
+  syncCommunityAdminFlag,
+  setMemberRole,
+  removeMember,
+  transferAdmin,
+  claimInviteUse,
+  getInviteLink
+};
@@ -0,0 +1,279 @@
+const CommunityCart = require('../models/CommunityCart');
+const DeliveryCycle = require('../models/DeliveryCycle');
+const Community = require('../models/Community');
+const { notifyCommunityMembers } = require('./notifications');
+const { reserveStock, releaseStock, isSameLine, InsufficientStockError } = require('./inventory');
+const { checkCartLines } = require('./carts');
+
+class CommunityCartCheckedOutError extends Error {
+  constructor(communityCartId) {
+    super('Community cart has already been checked out');
+    this.name = 'CommunityCartCheckedOutError';
+    this.communityCartId = communityCartId;
+  }
+}
+
+// Lines created before per-member tracking only record addedBy; treat that
+// member as the owner of the whole line
+const ensureContributions = (item) => {
+  if (item.contributions.length === 0 && item.addedBy) {
+    item.contributions.push({ user: item.addedBy, quantity: item.quantity });
+  }
+};
+
+const findContribution = (item, userId) => {
+  return item.contributions.find(
+    contribution => contribution.user.toString() === userId.toString()
+  );
+};
+
+/**
+ * Add lines to a member's share of a community cart, skipping any that cannot
+ * be fulfilled. Stock is checked against the whole community's lines. The
+ * cart is not saved.
+ */
+const addLinesToCommunityCart = async (communityCart, userId, lines) => {
+  const { accepted, skipped } = await checkCartLines(lines, communityCart.items);
+  
+  accepted.forEach(line => {
+    const item = communityCart.items.find(cartItem => isSameLine(cartItem, line.product, line.variant));
+    
+    if (item) {
+      ensureContributions(item);
+      
+      const contribution = findContribution(item, userId);
+      if (contribution) {
+        contribution.quantity += line.quantity;
+      } else {
+        item.contributions.push({ user: userId, quantity: line.quantity });
+      }
+    } else {
+      communityCart.items.push({
+        product: line.product,
+        variant: line.variant,
+        quantity: line.quantity,
+        addedBy: userId,
+        contributions: [{ user: userId, quantity: line.quantity }]
+      });
+    }
+  });
+  
+  return { added: accepted, skipped };
+};
+
+/**
+ * Withdraw a member's shares from a community's open carts, dropping lines
+ * no one else contributed to. Locked carts are left as they are because
+ * their lines are already committed to a delivery. Returns the number of
+ * lines withdrawn.
+ */
+const withdrawMemberFromOpenCarts = async (communityId, userId) => {
+  const openCarts = await CommunityCart.find({ community: communityId, isLocked: false });
+  let withdrawnLines = 0;
+  
+  for (const cart of openCarts) {
+    let changed = false;
+    
+    // Walk backwards so emptied lines can be removed in place
+    for (let index = cart.items.length - 1; index >= 0; index--) {
+      const item = cart.items[index];
+      ensureContributions(item);
+      
+      const contribution = findContribution(item, userId);
+      if (!contribution) {
+        continue;
+      }
+      
+      item.contributions.pull(contribution._id);
+      if (item.contributions.length === 0) {
+        cart.items.splice(index, 1);
+      }
+      
+      withdrawnLines++;
+      changed = true;
+    }
+    
+    if (changed) {
+      await cart.save();
+    }
+  }
+  
+  return withdrawnLines;
+};
+
+/**
+ * Make sure a community has an open cart to collect orders for its next
+ * delivery. The new cart is tied to the next scheduled cycle that does not
+ * have one yet, or left unassigned until a cycle is created.
+ */
+const openNextCommunityCart = async (communityId) => {
+  const activeCart = await CommunityCart.findActive(communityId);
+  
+  if (activeCart) {
+    return activeCart;
+  }
+  
+  const upcomingCycles = await DeliveryCycle.find({
+    community: communityId,
+    status: 'scheduled',
+    cartLockedAt: null,
+    scheduledDate: { $gte: new Date() }
+  }).sort({ scheduledDate: 1 });
+  
+  let nextCycle = null;
+  for (const cycle of upcomingCycles) {
+    const existingCart = await CommunityCart.findOne({ deliveryCycle: cycle._id });
+    if (!existingCart) {
+      nextCycle = cycle;
+      break;
+    }
+  }
+  
+  const communityCart = new CommunityCart({
+    community: communityId,
+    deliveryCycle: nextCycle ? nextCycle._id : undefined,
+    items: []
+  });
+  await communityCart.save();
+  
+  return communityCart;
+};
+
+/**
+ * Lock a community cart for processing, let the members know and open a
+ * fresh cart for the next delivery
+ */
+const lockCommunityCart = async (communityCart) => {
+  communityCart.isLocked = true;
+  communityCart.lockedAt = new Date();
+  
+  // Hold stock for the locked lines; a shortfall is retried at checkout
+  try {
+    await reserveStock(communityCart.items);
+    communityCart.stockReserved = true;
+  } catch (error) {
+    if (!(error instanceof InsufficientStockError)) {
+      throw error;
+    }
+    console.error(`Not enough stock to reserve community cart ${communityCart._id} for product ${error.productId}`);
+  }
+  
+  await communityCart.save();
+  
+  if (communityCart.deliveryCycle) {
+    await DeliveryCycle.findByIdAndUpdate(communityCart.deliveryCycle, {
+      cartLockedAt: communityCart.lockedAt
+    });
+  }
+  
+  const community = await Community.findById(communityCart.community).select('name');
+  
+  await notifyCommunityMembers(communityCart.community, {
+    type: 'cart_locked',
+    title: 'Community Cart Locked',
+    message: `The ${community ? community.name : 'community'} cart has been locked for the upcoming delivery. New items will go into the next cart.`
+  });
+  
+  const nextCart = await openNextCommunityCart(communityCart.community);
+  
+  return { communityCart, nextCart };
+};
+
+/**
+ * Detach an open cart from its cancelled delivery and give it the next one.
+ * It takes the place of the next scheduled delivery's cart while that cart is
+ * still empty; otherwise it stays unassigned until a cycle is created. Empty
+ * unassigned carts are dropped. Carts of later deliveries are left alone.
+ */
+const moveCartToNextDelivery = async (communityCart) => {
+  communityCart.deliveryCycle = undefined;
+  
+  const otherOpenCarts = await CommunityCart.find({
+    community: communityCart.community,
+    isLocked: false,
+    _id: { $ne: communityCart._id }
+  }).populate('deliveryCycle', 'scheduledDate status');
+  
+  const [nextCart] = otherOpenCarts
+    .filter(openCart => openCart.deliveryCycle && openCart.deliveryCycle.status === 'scheduled')
+    .sort((a, b) => a.deliveryCycle.scheduledDate - b.deliveryCycle.scheduledDate);
+  
+  for (const openCart of otherOpenCarts) {
+    if (openCart.items.length > 0) {
+      continue;
+    }
+    
+    if (openCart === nextCart) {
+      communityCart.deliveryCycle = nextCart.deliveryCycle._id;
+      await openCart.deleteOne();
+    } else if (!openCart.deliveryCycle) {
+      await openCart.deleteOne();
+    }
+  }
+  
+  await communityCart.save();
+  
+  return communityCart;
+};
+
+/**
+ * Reopen a locked cart whose delivery was cancelled and move it to the next delivery
+ */
+const unlockCommunityCart = async (communityCart) => {
+  communityCart.isLocked = false;
+  communityCart.lockedAt = undefined;
+  
+  if (communityCart.stockReserved) {
+    await releaseStock(communityCart.items);
+    communityCart.stockReserved = false;
+  }
+  
+  return moveCartToNextDelivery(communityCart);
+};
+
+/**
+ * Lock the carts of every scheduled delivery cycle whose cut-off has passed
+ */
+const lockDueCommunityCarts = async (now = new Date()) => {
+  const dueCycles = await DeliveryCycle.find({
+    status: 'scheduled',
+    cutoffAt: { $lte: now },
+    cartLockedAt: null
+  });
+  let lockedCount = 0;
+  
+  for (const deliveryCycle of dueCycles) {
+    try {
+      const communityCart = await CommunityCart.findOne({
+        deliveryCycle: deliveryCycle._id,
+        isLocked: false
+      });
+      
+      if (communityCart) {
+        await lockCommunityCart(communityCart);
+        lockedCount++;
+      } else {
+        // Nothing to lock; mark the cycle so it is not checked again
+        deliveryCycle.cartLockedAt = now;
+        await deliveryCycle.save();
+      }
+    } catch (error) {
+      console.error(`Error locking community cart for delivery cycle ${deliveryCycle._id}:`, error.message);
+    }
+  }
+  
+  return lockedCount;
+};
+
+module.exports = {
+  CommunityCartCheckedOutError,
+  ensureContributions,
+  findContribution,
+  addLinesToCommunityCart,
+  withdrawMemberFromOpenCarts,
+  openNextCommunityCart,
+  lockCommunityCart,
+  moveCartToNextDelivery,
+  unlockCommunityCart,
+  lockDueCommunityCarts
+};
@@ -0,0 +1,101 @@
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const { getCouponDiscount } = require('./pricing');
+
+class CouponUnavailableError extends Error {
+  constructor(code) {
+    super('Coupon has reached its usage limit');
+    this.name = 'CouponUnavailableError';
+    this.couponCode = code;
+  }
+}
+
+/**
+ * Check whether a coupon can be used on a set of priced lines. Returns
+ * { valid: true, discountAmount } or { valid: false, reason }. Community carts
+ * pass the members who would share the discount as userIds so each one's
+ * per-user limit is checked.
+ */
+const checkCoupon = async (coupon, { userId, userIds, items, pricing, isCommunityCart = false, now = new Date() }) => {
+  if (!coupon || !coupon.isRedeemableAt(now)) {
+    return { valid: false, reason: 'Coupon is not valid at this time' };
+  }
+  
+  if (coupon.communityOnly && !isCommunityCart) {
+    return { valid: false, reason: 'Coupon can only be used on community carts' };
+  }
+  
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { valid: false, reason: 'Coupon has reached its usage limit' };
+  }
+  
+  if (coupon.usageLimitPerUser) {
+    const limitedUsers = userIds || (userId ? [userId] : []);
+    
+    for (const limitedUser of limitedUsers) {
+      const timesUsed = await Order.countDocuments({
+        user: limitedUser,
+        'coupon.coupon': coupon._id,
+        orderStatus: { $ne: 'cancelled' }
+      });
+      
+      if (timesUsed >= coupon.usageLimitPerUser) {
+        return {
+          valid: false,
+          reason: userIds
+            ? 'A member of the cart has already used this coupon the maximum number of times'
+            : 'You have already used this coupon the maximum number of times'
+        };
+      }
+    }
+  }
+  
+  if (pricing.totalPrice < coupon.minBasketAmount) {
+    return { valid: false, reason: `Coupon needs a basket of at least ${coupon.minBasketAmount}` };
+  }
+  
+  const discountAmount = getCouponDiscount(coupon, items, pricing);
+  if (discountAmount <= 0) {
+    return { valid: false, reason: 'Coupon does not apply to any items in the cart' };
+  }
+  
+  return { valid: true, discountAmount };
+};
+
+/**
+ * Count one redemption against the coupon's overall limit. Returns false if
+ * the limit was reached in the meantime.
+ */
+const claimCouponUse = async (couponId, session) => {
+  const result = await Coupon.updateOne(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Give back a redemption, e.g. when the order that used it is cancelled
+ */
+const releaseCouponUse = async (couponId) => {
+  await Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
+
+module.exports = {
+  CouponUnavailableError,
+  checkCoupon,
+  claimCouponUse,
+  releaseCouponUse
+};
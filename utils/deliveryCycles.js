@@ -0,0 +1,184 @@
+const DeliveryCycle = require('../models/DeliveryCycle');
+const DeliverySchedule = require('../models/DeliverySchedule');
+const CommunityCart = require('../models/CommunityCart');
+const Order = require('../models/Order');
+const Community = require('../models/Community');
+const { unlockCommunityCart, moveCartToNextDelivery } = require('./communityCarts');
+const { notifyCommunityMembers } = require('./notifications');
+const { transitionOrder, cancelOrder } = require('./orders');
+
+// How far ahead recurring schedules create delivery cycles
+const GENERATION_HORIZON_DAYS = 28;
+
+/**
+ * Create a delivery cycle and link a community cart to it. An open cart that
+ * is not yet tied to a cycle is reused, otherwise a new empty cart is created.
+ */
+const createDeliveryCycle = async ({ community, scheduledDate, cutoffHours, createdBy, schedule, occurrenceDate }) => {
+  const deliveryCycle = await DeliveryCycle.create({
+    community,
+    scheduledDate,
+    cutoffHours,
+    createdBy,
+    schedule,
+    occurrenceDate
+  });
+  
+  let communityCart = await CommunityCart.findOne({
+    community,
+    deliveryCycle: null,
+    isLocked: false
+  });
+  
+  if (communityCart) {
+    communityCart.deliveryCycle = deliveryCycle._id;
+    await communityCart.save();
+  } else {
+    communityCart = new CommunityCart({
+      community,
+      deliveryCycle: deliveryCycle._id,
+      items: []
+    });
+    await communityCart.save();
+  }
+  
+  return { deliveryCycle, communityCart };
+};
+
+/**
+ * Create the delivery cycles a schedule has due within the generation horizon.
+ * Occurrences that already have a cycle are left alone.
+ */
+const generateScheduledCycles = async (schedule, now = new Date()) => {
+  if (schedule.isPaused) {
+    return [];
+  }
+  
+  const until = new Date(now.getTime() + GENERATION_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+  const occurrences = schedule.getOccurrences(now, until);
+  const created = [];
+  
+  for (const occurrence of occurrences) {
+    const existingCycle = await DeliveryCycle.findOne({
+      schedule: schedule._id,
+      occurrenceDate: occurrence.originalDate
+    });
+    
+    if (existingCycle) {
+      continue;
+    }
+    
+    const { deliveryCycle } = await createDeliveryCycle({
+      community: schedule.community,
+      scheduledDate: occurrence.scheduledDate,
+      cutoffHours: schedule.cutoffHours,
+      createdBy: schedule.createdBy,
+      schedule: schedule._id,
+      occurrenceDate: occurrence.originalDate
+    });
+    
+    created.push(deliveryCycle);
+  }
+  
+  return created;
+};
+
+/**
+ * Run generation for every active schedule
+ */
+const generateAllScheduledCycles = async (now = new Date()) => {
+  const schedules = await DeliverySchedule.find({ isPaused: false });
+  let createdCount = 0;
+  
+  for (const schedule of schedules) {
+    try {
+      const created = await generateScheduledCycles(schedule, now);
+      createdCount += created.length;
+    } catch (error) {
+      console.error(`Error generating delivery cycles for schedule ${schedule._id}:`, error.message);
+    }
+  }
+  
+  return createdCount;
+};
+
+/**
+ * Move a delivery cycle to a new status, record the change and run the side
+ * effects of the transition. Throws if the transition is not allowed.
+ */
+const transitionDeliveryCycle = async (deliveryCycle, status, changedBy, note) => {
+  if (!deliveryCycle.canTransitionTo(status)) {
+    throw new Error(`Cannot change delivery cycle status from ${deliveryCycle.status} to ${status}`);
+  }
+  
+  deliveryCycle.statusHistory.push({
+    from: deliveryCycle.status,
+    to: status,
+    changedBy,
+    note
+  });
+  deliveryCycle.status = status;
+  await deliveryCycle.save();
+  
+  if (status === 'in-progress' || status === 'completed') {
+    const orderStatus = status === 'in-progress' ? 'shipped' : 'delivered';
+    const orders = await Order.find({ _id: { $in: deliveryCycle.orders } });
+    
+    for (const order of orders) {
+      // Orders still processing pass through shipped on their way to delivered
+      if (orderStatus === 'delivered' && order.orderStatus === 'processing') {
+        await transitionOrder(order, 'shipped', changedBy, 'Delivery cycle completed');
+      }
+      if (order.canTransitionTo(orderStatus)) {
+        await transitionOrder(order, orderStatus, changedBy, `Delivery cycle ${status}`);
+      }
+    }
+  } else if (status === 'cancelled') {
+    // Orders placed for the delivery will not arrive; cancelling refunds them
+    const orders = await Order.find({ _id: { $in: deliveryCycle.orders } });
+    
+    for (const order of orders) {
+      if (order.canTransitionTo('cancelled')) {
+        await cancelOrder(order, changedBy, note || 'Delivery cancelled');
+      }
+    }
+    
+    // Give members their cart back unless it has already become orders
+    const communityCart = await CommunityCart.findOne({
+      deliveryCycle: deliveryCycle._id,
+      isLocked: true,
+      isCheckedOut: false
+    });
+    
+    if (communityCart) {
+      await unlockCommunityCart(communityCart);
+    }
+    
+    // A cart still collecting items for this delivery moves to the next one
+    const openCart = await CommunityCart.findOne({
+      deliveryCycle: deliveryCycle._id,
+      isLocked: false
+    });
+    
+    if (openCart) {
+      await moveCartToNextDelivery(openCart);
+    }
+    
+    const community = await Community.findById(deliveryCycle.community).select('name');
+    
+    await notifyCommunityMembers(deliveryCycle.community, {
+      type: 'delivery_status',
+      title: 'Delivery Cancelled',
+      message: `The ${community ? community.name : 'community'} delivery scheduled for ${deliveryCycle.scheduledDate.toDateString()} has been cancelled.${communityCart ? ' The community cart is open again.' : ''}`
+    });
+  }
+  
+  return deliveryCycle;
+};
+
+module.exports = {
+  createDeliveryCycle,
+  transitionDeliveryCycle,
+  generateScheduledCycles,
+  generateAllScheduledCycles
+};
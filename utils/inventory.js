@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+
+class InsufficientStockError extends Error {
+  constructor(productId, requested, variantId) {
+    super('Not enough stock available');
+    this.name = 'InsufficientStockError';
+    this.productId = productId;
+    this.variantId = variantId;
+    this.requested = requested;
+  }
+}
+
+const productIdOf = (item) => (item.product && item.product._id ? item.product._id : item.product);
+
+/**
+ * Check whether a cart or order line is for the given product and variant
+ */
+const isSameLine = (item, productId, variantId) => {
+  return productIdOf(item).toString() === productId.toString() &&
+    (item.variant ? item.variant.toString() : '') === (variantId ? variantId.toString() : '');
+};
+
+/**
+ * Get the sellable unit (variant or product) of a line with a populated
+ * product. Returns null when the product or the line's variant no longer
+ * exists, so the line counts as unavailable.
+ */
+const getLineUnit = (item) => {
+  return item.product ? item.product.getUnit(item.variant) : null;
+};
+
+// Merge lines for the same product and variant so each is updated once
+const totalsByUnit = (items) => {
+  const totals = new Map();
+  
+  items.forEach(item => {
+    const productId = productIdOf(item).toString();
+    const variantId = item.variant ? item.variant.toString() : null;
+    const key = `${productId}:${variantId || ''}`;
+    
+    if (!totals.has(key)) {
+      totals.set(key, { productId, variantId, quantity: 0 });
+    }
+    totals.get(key).quantity += item.quantity;
+  });
+  
+  return Array.from(totals.values());
+};
+
+// Aggregation expression for a variant's field inside the product document
+const variantField = (variantId, field) => ({
+  $let: {
+    vars: {
+      variant: {
+        $arrayElemAt: [
+          { $filter: { input: '$variants', cond: { $eq: ['$$this._id', new mongoose.Types.ObjectId(variantId)] } } },
+          0
+        ]
+      }
+    },
+    in: `$$variant.${field}`
+  }
+});
+
+// Pipeline update that applies per-field expressions to one variant
+const updateVariantPipeline = (variantId, fields) => [{
+  $set: {
+    variants: {
+      $map: {
+        input: '$variants',
+        as: 'variant',
+        in: {
+          $cond: [
+            { $eq: ['$$variant._id', new mongoose.Types.ObjectId(variantId)] },
+            { $mergeObjects: ['$$variant', fields('$$variant')] },
+            '$$variant'
+          ]
+        }
+      }
+    }
+  }
+}];
+
+/**
+ * Check that a product or variant has enough unreserved stock for a quantity
+ */
+const checkAvailability = (unit, quantity) => {
+  return !!unit && unit.isActive !== false && unit.availableQuantity >= quantity;
+};
+
+/**
+ * Reserve stock for a set of lines. Each product is reserved with a
+ * conditional update so concurrent orders cannot oversell; if any product
+ * falls short, the reservations already made are released and an
+ * InsufficientStockError is thrown.
+ */
+const reserveStock = async (items, session) => {
+  const reserved = [];
+  
+  for (const { productId, variantId, quantity } of totalsByUnit(items)) {
+    let result;
+    
+    if (variantId) {
+      result = await Product.updateOne(
+        {
+          _id: productId,
+          $expr: {
+            $gte: [
+              { $subtract: [variantField(variantId, 'stockQuantity'), variantField(variantId, 'reservedQuantity')] },
+              quantity
+            ]
+          }
+        },
+        { $inc: { 'variants.$[variant].reservedQuantity': quantity } },
+        { session, arrayFilters: [{ 'variant._id': variantId }] }
+      );
+    } else {
+      result = await Product.updateOne(
+        {
+          _id: productId,
+          $expr: { $gte: [{ $subtract: ['$stockQuantity', '$reservedQuantity'] }, quantity] }
+        },
+        { $inc: { reservedQuantity: quantity } },
+        { session }
+      );
+    }
+    
+    if (result.modifiedCount === 0) {
+      await releaseStock(reserved, session);
+      throw new InsufficientStockError(productId, quantity, variantId);
+    }
+    
+    reserved.push({ product: productId, variant: variantId, quantity });
+  }
+};
+
+/**
+ * Release reserved stock, e.g. when an order is cancelled
+ */
+const releaseStock = async (items, session) => {
+  for (const { productId, variantId, quantity } of totalsByUnit(items)) {
+    const update = variantId
+      ? updateVariantPipeline(variantId, (variant) => ({
+        reservedQuantity: { $max: [0, { $subtract: [`${variant}.reservedQuantity`, quantity] }] }
+      }))
+      : [{ $set: { reservedQuantity: { $max: [0, { $subtract: ['$reservedQuantity', quantity] }] } } }];
+    
+    await Product.updateOne({ _id: productId }, update, { session });
+  }
+};
+
+/**
+ * Take delivered units out of stock along with their reservation
+ */
+const consumeStock = async (items, session) => {
+  for (const { productId, variantId, quantity } of totalsByUnit(items)) {
+    const update = variantId
+      ? updateVariantPipeline(variantId, (variant) => ({
+        stockQuantity: { $max: [0, { $subtract: [`${variant}.stockQuantity`, quantity] }] },
+        reservedQuantity: { $max: [0, { $subtract: [`${variant}.reservedQuantity`, quantity] }] }
+      }))
+      : [{
+        $set: {
+          stockQuantity: { $max: [0, { $subtract: ['$stockQuantity', quantity] }] },
+          reservedQuantity: { $max: [0, { $subtract: ['$reservedQuantity', quantity] }] }
+        }
+      }];
+    
+    await Product.updateOne({ _id: productId }, update, { session });
+  }
+};
+
+module.exports = {
+  InsufficientStockError,
+  isSameLine,
+  getLineUnit,
+  checkAvailability,
+  reserveStock,
+  releaseStock,
+  consumeStock
+};
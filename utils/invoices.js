@@ -0,0 +1,362 @@
+const PDFDocument = require('pdfkit');
+const { roundCurrency } = require('./pricing');
+
+const formatMoney = (amount) => `$${(amount || 0).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const formatAddress = (address) => {
+  if (!address) {
+    return '';
+  }
+  
+  const cityLine = [address.city, address.state, address.zipCode].filter(Boolean).join(' ');
+  return [address.street || address.address, cityLine].filter(Boolean).join(', ');
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Invoice lines for an order; orders placed before per-line pricing only have a unit price
+const toInvoiceLines = (order) => order.items.map(item => {
+  const pricing = item.pricing || {};
+  const name = item.product && item.product.name ? item.product.name : 'Product no longer available';
+  const lineTotal = pricing.lineTotal !== undefined ? pricing.lineTotal : roundCurrency(item.price * item.quantity);
+  const discounts = [];
+  
+  if (pricing.productDiscountPercentage) {
+    discounts.push(`${pricing.productDiscountPercentage}% off`);
+  }
+  if (pricing.communityDiscountPercentage) {
+    discounts.push(`${pricing.communityDiscountPercentage}% community`);
+  }
+  
+  return {
+    description: item.variantName ? `${name} (${item.variantName})` : name,
+    quantity: item.quantity,
+    unitPrice: pricing.unitPrice !== undefined ? pricing.unitPrice : item.price,
+    discount: discounts.join(', '),
+    finalUnitPrice: pricing.finalUnitPrice !== undefined ? pricing.finalUnitPrice : item.price,
+    tax: pricing.tax || 0,
+    lineTotal
+  };
+});
+
+const toInvoiceTotals = (order) => {
+  const couponDiscount = order.coupon && order.coupon.discountAmount ? order.coupon.discountAmount : 0;
+  const deliveryFee = order.deliveryFee || 0;
+  const tax = order.tax || 0;
+  
+  return {
+    listTotal: order.listTotal !== undefined ? order.listTotal : order.totalPrice,
+    totalSavings: order.totalSavings || 0,
+    couponCode: couponDiscount > 0 ? order.coupon.code : null,
+    couponDiscount,
+    subtotal: order.subtotal !== undefined ? order.subtotal : roundCurrency(order.totalPrice - tax - deliveryFee),
+    tax,
+    deliveryFee,
+    totalPrice: order.totalPrice
+  };
+};
+
+const sumTotals = (sections) => {
+  const totals = {
+    listTotal: 0,
+    totalSavings: 0,
+    couponCode: null,
+    couponDiscount: 0,
+    subtotal: 0,
+    tax: 0,
+    deliveryFee: 0,
+    totalPrice: 0
+  };
+  
+  sections.forEach(section => {
+    ['listTotal', 'totalSavings', 'couponDiscount', 'subtotal', 'tax', 'deliveryFee', 'totalPrice'].forEach(field => {
+      totals[field] = roundCurrency(totals[field] + section.totals[field]);
+    });
+    totals.couponCode = totals.couponCode || section.totals.couponCode;
+  });
+  
+  return totals;
+};
+
+const toInvoiceSection = (order, heading) => ({
+  heading,
+  orderId: order._id.toString(),
+  orderStatus: order.orderStatus,
+  paymentStatus: order.paymentStatus,
+  lines: toInvoiceLines(order),
+  totals: toInvoiceTotals(order)
+});
+
+/**
+ * Build the invoice for a single order. Expects items.product, user and
+ * community to be populated.
+ */
+const buildOrderInvoice = (order) => {
+  const section = toInvoiceSection(order);
+  
+  return {
+    title: 'Invoice',
+    number: `INV-${order._id.toString().slice(-8).toUpperCase()}`,
+    issuedAt: order.createdAt,
+    community: order.community && order.community.name ? order.community.name : null,
+    billTo: {
+      name: order.user && order.user.name ? order.user.name : '',
+      email: order.user && order.user.email ? order.user.email : '',
+      address: formatAddress(order.shippingAddress)
+    },
+    details: [
+      ['Order', section.orderId],
+      ['Order status', order.orderStatus],
+      ['Payment', `${order.paymentMethod} (${order.paymentStatus})`]
+    ],
+    sections: [section],
+    totals: section.totals,
+    carbonFootprintSaved: order.carbonFootprintSaved || 0
+  };
+};
+
+/**
+ * Build one invoice covering every order of a delivery cycle, with a section
+ * per member. Expects each order's items.product and user to be populated.
+ */
+const buildDeliveryCycleInvoice = (deliveryCycle, community, orders) => {
+  const sections = orders.map(order => toInvoiceSection(
+    order,
+    order.user && order.user.name ? order.user.name : 'Former member'
+  ));
+  
+  return {
+    title: 'Delivery Cycle Invoice',
+    number: `INV-DC-${deliveryCycle._id.toString().slice(-8).toUpperCase()}`,
+    issuedAt: new Date(),
+    community: community.name,
+    billTo: {
+      name: community.name,
+      email: '',
+      address: formatAddress(community.location)
+    },
+    details: [
+      ['Delivery cycle', deliveryCycle._id.toString()],
+      ['Scheduled delivery', formatDate(deliveryCycle.scheduledDate)],
+      ['Status', deliveryCycle.status],
+      ['Orders', String(orders.length)]
+    ],
+    sections,
+    totals: sumTotals(sections),
+    carbonFootprintSaved: roundCurrency(orders.reduce((sum, order) => sum + (order.carbonFootprintSaved || 0), 0))
+  };
+};
+
+// Rows of the totals block, skipping charges that do not apply
+const totalRows = (totals) => {
+  const rows = [['List price', formatMoney(totals.listTotal)]];
+  
+  if (totals.totalSavings > 0) {
+    rows.push(['Discounts', `-${formatMoney(totals.totalSavings)}`]);
+  }
+  if (totals.couponDiscount > 0) {
+    rows.push([totals.couponCode ? `Coupon ${totals.couponCode}` : 'Coupons', `-${formatMoney(totals.couponDiscount)}`]);
+  }
+  
+  rows.push(['Subtotal', formatMoney(totals.subtotal)]);
+  rows.push(['Tax', formatMoney(totals.tax)]);
+  rows.push(['Delivery fee', formatMoney(totals.deliveryFee)]);
+  rows.push(['Total', formatMoney(totals.totalPrice)]);
+  
+  return rows;
+};
+
+/**
+ * Render an invoice as a standalone HTML page
+ */
+const renderInvoiceHtml = (invoice) => {
+  const renderTotals = (totals) => totalRows(totals)
+    .map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td class="amount">${escapeHtml(value)}</td></tr>`)
+    .join('');
+  
+  const renderSection = (section) => `
+    <section>
+      ${section.heading ? `<h2>${escapeHtml(section.heading)} <small>Order ${escapeHtml(section.orderId)}</small></h2>` : ''}
+      <table class="lines">
+        <thead>
+          <tr><th>Item</th><th>Qty</th><th>Unit price</th><th>Discount</th><th>Price</th><th>Tax</th><th>Total</th></tr>
+        </thead>
+        <tbody>
+          ${section.lines.map(line => `
+          <tr>
+            <td>${escapeHtml(line.description)}</td>
+            <td>${line.quantity}</td>
+            <td class="amount">${formatMoney(line.unitPrice)}</td>
+            <td>${escapeHtml(line.discount)}</td>
+            <td class="amount">${formatMoney(line.finalUnitPrice)}</td>
+            <td class="amount">${formatMoney(line.tax)}</td>
+            <td class="amount">${formatMoney(line.lineTotal)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+      ${section.heading ? `<table class="totals">${renderTotals(section.totals)}</table>` : ''}
+    </section>`;
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(invoice.title)} ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 40px; }
+    h1 { margin-bottom: 0; }
+    h2 { font-size: 16px; margin-top: 32px; }
+    h2 small { color: #777; font-weight: normal; }
+    table { border-collapse: collapse; width: 100%; }
+    .lines th, .lines td { border-bottom: 1px solid #ddd; padding: 6px; text-align: left; }
+    .totals { width: auto; margin: 12px 0 0 auto; }
+    .totals td { padding: 4px 8px; }
+    .totals tr:last-child td { font-weight: bold; border-top: 1px solid #222; }
+    .amount { text-align: right; }
+    .meta td { padding: 2px 12px 2px 0; }
+    .carbon { margin-top: 24px; color: #2e7d32; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(invoice.title)}</h1>
+  <p>${escapeHtml(invoice.number)} &middot; ${formatDate(invoice.issuedAt)}</p>
+  <table class="meta">
+    <tr><td>Bill to</td><td>${escapeHtml(invoice.billTo.name)}${invoice.billTo.email ? ` &lt;${escapeHtml(invoice.billTo.email)}&gt;` : ''}</td></tr>
+    <tr><td>Address</td><td>${escapeHtml(invoice.billTo.address)}</td></tr>
+    ${invoice.community ? `<tr><td>Community</td><td>${escapeHtml(invoice.community)}</td></tr>` : ''}
+    ${invoice.details.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('')}
+  </table>
+  ${invoice.sections.map(renderSection).join('')}
+  <table class="totals">${renderTotals(invoice.totals)}</table>
+  <p class="carbon">Carbon saved by community delivery: ${invoice.carbonFootprintSaved.toFixed(2)} kg CO2</p>
+</body>
+</html>
+`;
+};
+
+// Column layout of the PDF line table: x offset, width and alignment
+const PDF_COLUMNS = [
+  { key: 'description', label: 'Item', x: 50, width: 170 },
+  { key: 'quantity', label: 'Qty', x: 220, width: 30, align: 'right' },
+  { key: 'unitPrice', label: 'Unit price', x: 255, width: 60, align: 'right', money: true },
+  { key: 'discount', label: 'Discount', x: 320, width: 80 },
+  { key: 'finalUnitPrice', label: 'Price', x: 400, width: 45, align: 'right', money: true },
+  { key: 'tax', label: 'Tax', x: 450, width: 40, align: 'right', money: true },
+  { key: 'lineTotal', label: 'Total', x: 495, width: 50, align: 'right', money: true }
+];
+
+/**
+ * Render an invoice as a PDF. Resolves with the document as a Buffer.
+ */
+const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+  const chunks = [];
+  
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  
+  // Start a new page when the next block would run past the bottom margin
+  const ensureSpace = (height) => {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+      doc.addPage();
+    }
+  };
+  
+  const writeRow = (values, options = {}) => {
+    ensureSpace(30);
+    const y = doc.y;
+    let rowHeight = 0;
+    
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    PDF_COLUMNS.forEach(column => {
+      const text = String(values[column.key]);
+      doc.text(text, column.x, y, { width: column.width, align: column.align || 'left' });
+      rowHeight = Math.max(rowHeight, doc.heightOfString(text, { width: column.width }));
+    });
+    
+    doc.x = doc.page.margins.left;
+    doc.y = y + rowHeight + 4;
+  };
+  
+  const writeTotals = (totals) => {
+    totalRows(totals).forEach(([label, value], index, rows) => {
+      ensureSpace(15);
+      const y = doc.y;
+      doc.font(index === rows.length - 1 ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      doc.text(label, 350, y, { width: 120 });
+      doc.text(value, 470, y, { width: 75, align: 'right' });
+      doc.x = doc.page.margins.left;
+    });
+  };
+  
+  const labels = {};
+  PDF_COLUMNS.forEach(column => {
+    labels[column.key] = column.label;
+  });
+  
+  doc.font('Helvetica-Bold').fontSize(20).text(invoice.title);
+  doc.font('Helvetica').fontSize(10)
+    .text(`${invoice.number} - ${formatDate(invoice.issuedAt)}`)
+    .moveDown();
+  
+  doc.text(`Bill to: ${invoice.billTo.name}${invoice.billTo.email ? ` <${invoice.billTo.email}>` : ''}`);
+  if (invoice.billTo.address) {
+    doc.text(`Address: ${invoice.billTo.address}`);
+  }
+  if (invoice.community) {
+    doc.text(`Community: ${invoice.community}`);
+  }
+  invoice.details.forEach(([label, value]) => doc.text(`${label}: ${value}`));
+  
+  invoice.sections.forEach(section => {
+    doc.moveDown();
+    
+    if (section.heading) {
+      ensureSpace(60);
+      doc.font('Helvetica-Bold').fontSize(12).text(section.heading);
+      doc.font('Helvetica').fontSize(9).text(`Order ${section.orderId}`).moveDown(0.5);
+    }
+    
+    writeRow(labels, { bold: true });
+    section.lines.forEach(line => {
+      const values = {};
+      PDF_COLUMNS.forEach(column => {
+        values[column.key] = column.money ? formatMoney(line[column.key]) : line[column.key];
+      });
+      writeRow(values);
+    });
+    
+    if (section.heading) {
+      doc.moveDown(0.5);
+      writeTotals(section.totals);
+    }
+  });
+  
+  doc.moveDown();
+  if (invoice.sections.length > 1) {
+    ensureSpace(20);
+    doc.font('Helvetica-Bold').fontSize(12).text('Delivery cycle total').moveDown(0.5);
+  }
+  writeTotals(invoice.totals);
+  
+  doc.moveDown();
+  doc.font('Helvetica').fontSize(10)
+    .text(`Carbon saved by community delivery: ${invoice.carbonFootprintSaved.toFixed(2)} kg CO2`);
+  
+  doc.end();
+});
+
+module.exports = {
+  buildOrderInvoice,
+  buildDeliveryCycleInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf
+};
@@ -0,0 +1,35 @@
+const Notification = require('../models/Notification');
+const Community = require('../models/Community');
+
+/**
+ * Send the same notification to every member of a community. Failures are
+ * logged rather than thrown so they never break the calling request or job.
+ */
+const notifyCommunityMembers = async (communityId, { type, title, message, relatedId, onModel }) => {
+  try {
+    const community = await Community.findById(communityId).select('members');
+    
+    if (!community || community.members.length === 0) {
+      return 0;
+    }
+    
+    const notificationPromises = community.members.map(memberId => {
+      return Notification.create({
+        recipient: memberId,
+        type,
+        title,
+        message,
+        relatedId: relatedId || communityId,
+        onModel: onModel || 'Community'
+      });
+    });
+    
+    await Promise.all(notificationPromises);
+    return notificationPromises.length;
+  } catch (error) {
+    console.error('Error notifying community members:', error.message);
+    return 0;
+  }
+};
+
+module.exports = { notifyCommunityMembers };
@@ -0,0 +1,118 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Community = require('../models/Community');
+const DeliveryCycle = require('../models/DeliveryCycle');
+const { refundOrderPayment } = require('./payments');
+const { releaseStock, consumeStock } = require('./inventory');
+const { releaseCouponUse } = require('./coupons');
+const { cancelOrderShare } = require('./settlements');
+
+const STATUS_MESSAGES = {
+  'processing': 'is being processed',
+  'shipped': 'is on its way',
+  'delivered': 'has been delivered',
+  'cancelled': 'has been cancelled'
+};
+
+/**
+ * Move an order to a new status, record the change and notify the buyer.
+ * Throws if the transition is not allowed.
+ */
+const transitionOrder = async (order, status, changedBy, note) => {
+  if (!order.canTransitionTo(status)) {
+    throw new Error(`Cannot change order status from ${order.orderStatus} to ${status}`);
+  }
+  
+  // Delivered units leave the warehouse
+  if (status === 'delivered' && order.stockReserved) {
+    await consumeStock(order.items);
+    order.stockReserved = false;
+  }
+  
+  order.statusHistory.push({
+    from: order.orderStatus,
+    to: status,
+    changedBy,
+    note
+  });
+  order.orderStatus = status;
+  await order.save();
+  
+  try {
+    await Notification.create({
+      recipient: order.user,
+      type: 'delivery_status',
+      title: 'Order Update',
+      message: `Your order #${order._id.toString().slice(-6)} ${STATUS_MESSAGES[status]}.${note ? ` ${note}` : ''}`,
+      relatedId: order._id,
+      onModel: 'Order'
+    });
+  } catch (notifError) {
+    console.error('Error creating notification:', notifError);
+    // Don't fail the status change if notification fails
+  }
+  
+  return order;
+};
+
+/**
+ * Cancel an order and undo what placing it applied: the payment, the carbon
+ * savings credited to the buyer and community, and its place in a delivery cycle
+ */
+const cancelOrder = async (order, cancelledBy, reason) => {
+  order.cancellation = {
+    reason: reason || '',
+    cancelledBy,
+    cancelledAt: new Date()
+  };
+  await refundOrderPayment(order);
+  
+  if (order.stockReserved) {
+    await releaseStock(order.items);
+    order.stockReserved = false;
+  }
+  
+  await transitionOrder(order, 'cancelled', cancelledBy, reason);
+  
+  // The member no longer owes their share of the community order
+  if (order.isGroupOrder) {
+    await cancelOrderShare(order);
+  }
+  
+  // A personal order's coupon can be used again; a community cart's coupon
+  // was redeemed once for the whole cart and stays used
+  if (order.coupon && order.coupon.coupon && !order.coupon.communityCart) {
+    await releaseCouponUse(order.coupon.coupon);
+  }
+  
+  if (order.carbonFootprintSaved) {
+    await User.findByIdAndUpdate(order.user, {
+      $inc: { carbonFootprintSaved: -order.carbonFootprintSaved }
+    });
+    
+    if (order.community) {
+      await Community.findByIdAndUpdate(order.community, {
+        $inc: { totalCarbonFootprintSaved: -order.carbonFootprintSaved }
+      });
+    }
+  }
+  
+  const totalItems = order.items.reduce((sum, item) => sum + item.quantity, 0);
+  
+  // Pull the order out of any delivery cycle it was linked to
+  await DeliveryCycle.updateMany(
+    { orders: order._id },
+    {
+      $pull: { orders: order._id },
+      $inc: {
+        totalItems: -totalItems,
+        totalValue: -order.totalPrice,
+        carbonFootprintSaved: -order.carbonFootprintSaved
+      }
+    }
+  );
+  
+  return order;
+};
+
+module.exports = { transitionOrder, cancelOrder };
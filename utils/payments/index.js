@@ -0,0 +1,216 @@
+const Order = require('../../models/Order');
+const Notification = require('../../models/Notification');
+const mockProvider = require('./mockProvider');
+
+/**
+ * Payment providers implement:
+ *   name                                      unique provider key
+ *   authorize({ orderId, amount, paymentMethod, paymentToken })
+ *                                             -> { status: 'authorized' | 'pending' | 'declined', transactionId, message }
+ *   capture({ transactionId, amount })        -> { status: 'captured' | 'failed', transactionId, message }
+ *   refund({ transactionId, amount })         -> { status: 'refunded' | 'failed', transactionId, message }
+ *   void({ transactionId })                   -> { status: 'voided' | 'failed', transactionId, message }
+ *                                             cancels a pending or uncaptured payment
+ *   parseWebhook(req)                         -> { transactionId, status: 'succeeded' | 'failed', message }
+ *   setWebhookHandler(handler)                optional, for providers that confirm in-process
+ */
+const providers = new Map();
+
+const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+  
+  if (provider.setWebhookHandler) {
+    provider.setWebhookHandler(event => confirmPayment(provider.name, event));
+  }
+};
+
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+  const provider = providers.get(name);
+  
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  
+  return provider;
+};
+
+/**
+ * Authorise and capture payment for an order. Updates the order's payment
+ * fields but leaves saving to the caller.
+ */
+const processOrderPayment = async (order, { paymentToken } = {}) => {
+  const provider = getPaymentProvider(order.paymentProvider);
+  order.paymentProvider = provider.name;
+  
+  const authorization = await provider.authorize({
+    orderId: order._id.toString(),
+    amount: order.totalPrice,
+    paymentMethod: order.paymentMethod,
+    paymentToken
+  });
+  order.paymentTransactionId = authorization.transactionId;
+  
+  if (authorization.status === 'pending') {
+    // Confirmed later through the provider's webhook
+    order.paymentStatus = 'pending';
+    return order;
+  }
+  
+  if (authorization.status !== 'authorized') {
+    order.paymentStatus = 'failed';
+    order.paymentError = authorization.message || 'Payment declined';
+    return order;
+  }
+  
+  const captureResult = await provider.capture({
+    transactionId: authorization.transactionId,
+    amount: order.totalPrice
+  });
+  
+  if (captureResult.status === 'captured') {
+    order.paymentStatus = 'completed';
+  } else {
+    order.paymentStatus = 'failed';
+    order.paymentError = captureResult.message || 'Payment capture failed';
+  }
+  
+  return order;
+};
+
+/**
+ * Refund a completed payment. Updates the order but leaves saving to the caller.
+ */
+const refundOrderPayment = async (order) => {
+  if (order.paymentStatus !== 'completed' || !order.paymentTransactionId) {
+    return order;
+  }
+  
+  const provider = getPaymentProvider(order.paymentProvider);
+  const result = await provider.refund({
+    transactionId: order.paymentTransactionId,
+    amount: order.totalPrice
+  });
+  
+  if (result.status === 'refunded') {
+    order.paymentStatus = 'refunded';
+  } else {
+    order.paymentError = result.message || 'Refund failed';
+  }
+  
+  return order;
+};
+
+/**
+ * Void a payment still awaiting confirmation so it never goes through.
+ * Updates the order but leaves saving to the caller.
+ */
+const voidOrderPayment = async (order) => {
+  if (order.paymentStatus !== 'pending' || !order.paymentTransactionId) {
+    return order;
+  }
+  
+  const provider = getPaymentProvider(order.paymentProvider);
+  const result = await provider.void({ transactionId: order.paymentTransactionId });
+  
+  if (result.status === 'voided') {
+    order.paymentStatus = 'failed';
+    order.paymentError = 'Payment voided';
+  } else {
+    order.paymentError = result.message || 'Void failed';
+  }
+  
+  return order;
+};
+
+/**
+ * Apply an asynchronous payment confirmation to its order, or to the
+ * settlement share it paid for. Repeated confirmations are ignored, and a
+ * payment that succeeds after its order was cancelled is refunded.
+ */
+const confirmPayment = async (providerName, { transactionId, status, message }) => {
+  const order = await Order.findOne({
+    paymentProvider: providerName,
+    paymentTransactionId: transactionId
+  });
+  
+  if (!order) {
+    // Not an order payment; it may be a member paying a community settlement
+    const { confirmSharePayment } = require('../settlements');
+    return confirmSharePayment(providerName, { transactionId, status, message });
+  }
+  
+  if (order.paymentStatus !== 'pending') {
+    return order;
+  }
+  
+  const refundLatePayment = status === 'succeeded' && order.orderStatus === 'cancelled';
+  
+  if (status === 'succeeded') {
+    order.paymentStatus = 'completed';
+    
+    // The order was cancelled while the payment was pending
+    if (refundLatePayment) {
+      await refundOrderPayment(order);
+    }
+    await order.save();
+  } else {
+    order.paymentStatus = 'failed';
+    order.paymentError = message || 'Payment failed';
+    
+    // A failed payment means the order will not be fulfilled
+    const { cancelOrder } = require('../orders');
+    if (order.canTransitionTo('cancelled')) {
+      await cancelOrder(order, undefined, 'Payment failed');
+    } else {
+      await order.save();
+    }
+  }
+  
+  try {
+    const orderNumber = order._id.toString().slice(-6);
+    let title = 'Payment Confirmed';
+    let notificationMessage = `Payment for your order #${orderNumber} has been confirmed.`;
+    
+    if (refundLatePayment) {
+      title = 'Payment Refunded';
+      notificationMessage = `Payment for your cancelled order #${orderNumber} went through and has been refunded.`;
+    } else if (status !== 'succeeded') {
+      title = 'Payment Failed';
+      notificationMessage = `Payment for your order #${orderNumber} failed and the order has been cancelled.`;
+    }
+    
+    await Notification.create({
+      recipient: order.user,
+      type: 'other',
+      title,
+      message: notificationMessage,
+      relatedId: order._id,
+      onModel: 'Order'
+    });
+  } catch (notifError) {
+    console.error('Error creating notification:', notifError);
+  }
+  
+  return order;
+};
+
+/**
+ * Verify and apply a webhook call from a provider
+ */
+const handlePaymentWebhook = async (providerName, req) => {
+  const provider = getPaymentProvider(providerName);
+  const event = await provider.parseWebhook(req);
+  
+  return confirmPayment(provider.name, event);
+};
+
+registerPaymentProvider(mockProvider);
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider,
+  processOrderPayment,
+  refundOrderPayment,
+  voidOrderPayment,
+  handlePaymentWebhook
+};
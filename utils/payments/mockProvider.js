@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+/**
+ * Local payment gateway for development and offline testing. The outcome is
+ * picked with the paymentToken sent at checkout:
+ *   mock_success (default)  authorised and captured straight away
+ *   mock_decline            declined at authorisation
+ *   mock_async_success      left pending, confirmed later through a webhook
+ *   mock_async_decline      left pending, failed later through a webhook
+ */
+const ASYNC_DELAY_MS = Number(process.env.MOCK_PAYMENT_ASYNC_DELAY_MS) || 5000;
+
+// In-memory record of transactions so capture and refund can be checked
+const transactions = new Map();
+
+// Timers delivering the async confirmations, cleared when a payment is voided
+const pendingConfirmations = new Map();
+
+let webhookHandler = null;
+
+const newTransactionId = () => `mock_${crypto.randomBytes(8).toString('hex')}`;
+
+const authorize = async ({ amount, paymentToken }) => {
+  const transactionId = newTransactionId();
+  const token = paymentToken || 'mock_success';
+  
+  if (token === 'mock_decline') {
+    transactions.set(transactionId, { amount, status: 'declined' });
+    return { status: 'declined', transactionId, message: 'Card declined by mock gateway' };
+  }
+  
+  if (token === 'mock_async_success' || token === 'mock_async_decline') {
+    transactions.set(transactionId, { amount, status: 'pending' });
+    
+    // Deliver the confirmation the way a real gateway would call our webhook
+    pendingConfirmations.set(transactionId, setTimeout(() => {
+      pendingConfirmations.delete(transactionId);
+      const succeeded = token === 'mock_async_success';
+      transactions.set(transactionId, { amount, status: succeeded ? 'captured' : 'failed' });
+      
+      if (webhookHandler) {
+        webhookHandler({
+          transactionId,
+          status: succeeded ? 'succeeded' : 'failed',
+          message: succeeded ? undefined : 'Payment failed at mock gateway'
+        }).catch(error => console.error('Mock payment webhook error:', error.message));
+      }
+    }, ASYNC_DELAY_MS));
+    
+    return { status: 'pending', transactionId };
+  }
+  
+  transactions.set(transactionId, { amount, status: 'authorized' });
+  return { status: 'authorized', transactionId };
+};
+
+const capture = async ({ transactionId, amount }) => {
+  const transaction = transactions.get(transactionId);
+  
+  if (!transaction || transaction.status !== 'authorized') {
+    return { status: 'failed', transactionId, message: 'Transaction is not authorised' };
+  }
+  
+  transaction.status = 'captured';
+  transaction.capturedAmount = amount;
+  return { status: 'captured', transactionId };
+};
+
+const refund = async ({ transactionId, amount }) => {
+  const transaction = transactions.get(transactionId);
+  
+  // Transactions from before a restart are unknown here; treat them as refundable
+  if (transaction && transaction.status !== 'captured') {
+    return { status: 'failed', transactionId, message: 'Transaction has not been captured' };
+  }
+  
+  transactions.set(transactionId, { ...transaction, status: 'refunded', refundedAmount: amount });
+  return { status: 'refunded', transactionId };
+};
+
+const voidPayment = async ({ transactionId }) => {
+  const transaction = transactions.get(transactionId);
+  
+  if (!transaction || !['pending', 'authorized'].includes(transaction.status)) {
+    return { status: 'failed', transactionId, message: 'Transaction cannot be voided' };
+  }
+  
+  clearTimeout(pendingConfirmations.get(transactionId));
+  pendingConfirmations.delete(transactionId);
+  transaction.status = 'voided';
+  return { status: 'voided', transactionId };
+};
+
+// Webhook calls over HTTP must carry the shared secret; without one configured
+// they are refused (the mock's own async confirmations run in-process)
+const parseWebhook = async (req) => {
+  const secret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  
+  if (!secret) {
+    throw new Error('Mock payment webhooks are disabled until MOCK_PAYMENT_WEBHOOK_SECRET is set');
+  }
+  
+  const expected = Buffer.from(secret);
+  const signature = Buffer.from(req.header('x-mock-signature') || '');
+  
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw new Error('Invalid webhook signature');
+  }
+  
+  const { transactionId, status, message } = req.body;
+  
+  if (!transactionId || !['succeeded', 'failed'].includes(status)) {
+    throw new Error('Invalid webhook payload');
+  }
+  
+  return { transactionId, status, message };
+};
+
+const setWebhookHandler = (handler) => {
+  webhookHandler = handler;
+};
+
+module.exports = {
+  name: 'mock',
+  authorize,
+  capture,
+  refund,
+  void: voidPayment,
+  parseWebhook,
+  setWebhookHandler
+};
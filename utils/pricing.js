@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const { getLineUnit } = require('./inventory');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Per-line price breakdown stored on cart and order lines
+const linePricingSchema = new mongoose.Schema({
+  // List price of one unit (product or variant)
+  unitPrice: {
+    type: Number,
+    default: 0
+  },
+  productDiscountPercentage: {
+    type: Number,
+    default: 0
+  },
+  communityDiscountPercentage: {
+    type: Number,
+    default: 0
+  },
+  // Unit price after the product discount and then the community discount
+  finalUnitPrice: {
+    type: Number,
+    default: 0
+  },
+  lineTotal: {
+    type: Number,
+    default: 0
+  },
+  savings: {
+    type: Number,
+    default: 0
+  },
+  // Sales tax on the line after any coupon discount
+  taxClass: {
+    type: String
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+/**
+ * Price one cart or order line with a populated product. The product's own
+ * discount (discountPercentage / discountedPrice) applies first and the
+ * community discount is taken off the discounted price.
+ */
+const priceLine = (item, communityDiscountPercentage = 0) => {
+  const product = item.product;
+  const unit = getLineUnit(item);
+  // A line whose product or variant no longer exists cannot be bought and is priced at 0
+  const unitPrice = unit ? unit.price : 0;
+  const productDiscountPercentage = (unit && product.discountPercentage) || 0;
+  
+  // The product's stored discountedPrice only covers the product itself
+  const discountedUnitPrice = unit && unit === product && product.discountedPrice !== undefined
+    ? product.discountedPrice
+    : unitPrice * (1 - productDiscountPercentage / 100);
+  
+  const finalUnitPrice = roundCurrency(discountedUnitPrice * (1 - communityDiscountPercentage / 100));
+  const lineTotal = roundCurrency(finalUnitPrice * item.quantity);
+  
+  return {
+    product: product ? product._id : item.product,
+    variant: item.variant,
+    name: product ? product.name : undefined,
+    variantName: item.variant && unit ? unit.name : undefined,
+    quantity: item.quantity,
+    unitPrice,
+    productDiscountPercentage,
+    communityDiscountPercentage,
+    finalUnitPrice,
+    lineTotal,
+    savings: roundCurrency(unitPrice * item.quantity - lineTotal)
+  };
+};
+
+/**
+ * Price a set of lines. getCommunityDiscount returns the community discount
+ * percentage for each line (0 when none applies).
+ */
+const priceLines = (items, getCommunityDiscount = () => 0) => {
+  const lines = items.map(item => priceLine(item, getCommunityDiscount(item)));
+  
+  const listTotal = roundCurrency(lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0));
+  const totalPrice = roundCurrency(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+  
+  return {
+    lines,
+    listTotal,
+    totalSavings: roundCurrency(listTotal - totalPrice),
+    totalPrice
+  };
+};
+
+/**
+ * Sum the line totals a coupon's product/category scope covers
+ */
+const getCouponEligibleAmount = (coupon, items, pricing) => {
+  return roundCurrency(items.reduce((sum, item, index) => {
+    return item.product && coupon.appliesTo(item.product) ? sum + pricing.lines[index].lineTotal : sum;
+  }, 0));
+};
+
+/**
+ * Work out a coupon's discount on priced lines, never more than the lines it covers
+ */
+const getCouponDiscount = (coupon, items, pricing) => {
+  const eligibleAmount = getCouponEligibleAmount(coupon, items, pricing);
+  
+  const discount = coupon.discountType === 'percentage'
+    ? eligibleAmount * (coupon.discountValue / 100)
+    : coupon.discountValue;
+  
+  return roundCurrency(Math.min(discount, eligibleAmount));
+};
+
+/**
+ * Split an amount across entries in proportion to their weights. The last
+ * entry with a weight absorbs any rounding remainder; when no entry has a
+ * weight the amount is split evenly.
+ */
+const splitProportionally = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const shareWeights = totalWeight > 0 ? weights : weights.map(() => 1);
+  const shareTotal = totalWeight > 0 ? totalWeight : weights.length;
+  const lastIndex = shareWeights.map(weight => weight > 0).lastIndexOf(true);
+  let allocated = 0;
+  
+  return shareWeights.map((weight, index) => {
+    if (index === lastIndex) {
+      return roundCurrency(amount - allocated);
+    }
+    
+    const share = roundCurrency(amount * (weight / shareTotal));
+    allocated += share;
+    return share;
+  });
+};
+
+/**
+ * Spread a coupon discount over the lines it covers, in proportion to their totals
+ */
+const allocateCouponDiscount = (coupon, items, pricing, discountAmount) => {
+  if (!coupon || !discountAmount) {
+    return items.map(() => 0);
+  }
+  
+  const eligibleTotals = items.map((item, index) => {
+    return item.product && coupon.appliesTo(item.product) ? pricing.lines[index].lineTotal : 0;
+  });
+  
+  return splitProportionally(discountAmount, eligibleTotals);
+};
+
+/**
+ * Discount of a coupon attached to a cart, or 0 while the cart does not
+ * meet its conditions. Usage limits are checked when the coupon is applied
+ * and when the order is placed.
+ */
+const getCartCouponDiscount = (coupon, items, pricing, { isCommunityCart = false } = {}) => {
+  if (!coupon || !coupon.isRedeemableAt() || (coupon.communityOnly && !isCommunityCart)) {
+    return 0;
+  }
+  
+  if (pricing.totalPrice < coupon.minBasketAmount) {
+    return 0;
+  }
+  
+  return getCouponDiscount(coupon, items, pricing);
+};
+
+/**
+ * Flat delivery fee for individual or community orders, set with
+ * INDIVIDUAL_DELIVERY_FEE and COMMUNITY_DELIVERY_FEE
+ */
+const getDeliveryFee = (isCommunityOrder = false) => {
+  const fee = Number(isCommunityOrder
+    ? process.env.COMMUNITY_DELIVERY_FEE
+    : process.env.INDIVIDUAL_DELIVERY_FEE);
+  
+  return fee > 0 ? roundCurrency(fee) : 0;
+};
+
+/**
+ * Get the stored breakdown fields of a priced line and its tax
+ */
+const toLinePricing = (line, lineTax = {}) => ({
+  unitPrice: line.unitPrice,
+  productDiscountPercentage: line.productDiscountPercentage,
+  communityDiscountPercentage: line.communityDiscountPercentage,
+  finalUnitPrice: line.finalUnitPrice,
+  lineTotal: line.lineTotal,
+  savings: line.savings,
+  taxClass: lineTax.taxClass,
+  taxRate: lineTax.taxRate || 0,
+  tax: lineTax.tax || 0
+});
+
+/**
+ * Build an order line from a priced line and its tax
+ */
+const toOrderItem = (line, lineTax) => ({
+  product: line.product,
+  variant: line.variant,
+  variantName: line.variantName,
+  quantity: line.quantity,
+  price: line.finalUnitPrice,
+  pricing: toLinePricing(line, lineTax)
+});
+
+module.exports = {
+  roundCurrency,
+  linePricingSchema,
+  priceLine,
+  priceLines,
+  getCouponEligibleAmount,
+  getCouponDiscount,
+  getCartCouponDiscount,
+  splitProportionally,
+  allocateCouponDiscount,
+  getDeliveryFee,
+  toLinePricing,
+  toOrderItem
+};
@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const StockAdjustment = require('../models/StockAdjustment');
+
+// Columns shared by catalog imports and exports, in export order. Variants
+// are not part of the catalog format. id identifies a product but is never
+// written to it.
+const CATALOG_COLUMNS = [
+  { field: 'id', type: 'string' },
+  { field: 'sku', type: 'string' },
+  { field: 'name', type: 'string' },
+  { field: 'description', type: 'string' },
+  { field: 'category', type: 'string' },
+  { field: 'taxClass', type: 'string' },
+  { field: 'price', type: 'number' },
+  { field: 'costPrice', type: 'number' },
+  { field: 'operationalCost', type: 'number' },
+  { field: 'volume', type: 'number' },
+  { field: 'weight', type: 'number' },
+  { field: 'discountPercentage', type: 'number' },
+  { field: 'communityDiscountPercentage', type: 'number' },
+  { field: 'popularityScore', type: 'number' },
+  { field: 'imageUrl', type: 'string' },
+  { field: 'inStock', type: 'boolean' },
+  { field: 'stockQuantity', type: 'integer' },
+  { field: 'carbonFootprint.individual', type: 'number' },
+  { field: 'carbonFootprint.community', type: 'number' }
+];
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into objects keyed by the header row
+ */
+const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let value = '';
+  let inQuotes = false;
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.push(value);
+      records.push(record);
+      record = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  
+  if (value !== '' || record.length > 0) {
+    record.push(value);
+    records.push(record);
+  }
+  
+  // Ignore blank lines
+  const [header, ...rows] = records.filter(entry => entry.some(cell => cell.trim() !== ''));
+  
+  if (!header) {
+    return [];
+  }
+  
+  const columns = header.map(column => column.trim());
+  
+  return rows.map(row => {
+    const object = {};
+    columns.forEach((column, index) => {
+      object[column] = row[index] !== undefined ? row[index] : '';
+    });
+    return object;
+  });
+};
+
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialise flat rows to CSV using the catalog columns
+ */
+const toCsv = (rows) => {
+  const lines = [CATALOG_COLUMNS.map(column => column.field).join(',')];
+  
+  rows.forEach(row => {
+    lines.push(CATALOG_COLUMNS.map(column => escapeCsvValue(row[column.field])).join(','));
+  });
+  
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Flatten a product into a catalog row keyed by column field
+ */
+const productToRow = (product) => {
+  const row = {};
+  
+  CATALOG_COLUMNS.forEach(({ field }) => {
+    row[field] = field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), product);
+  });
+  
+  return row;
+};
+
+/**
+ * Turn a flat catalog row into the nested shape used by the JSON format
+ */
+const rowToJson = (row) => {
+  const { 'carbonFootprint.individual': individual, 'carbonFootprint.community': community, ...rest } = row;
+  return {
+    ...rest,
+    carbonFootprint: { individual, community }
+  };
+};
+
+// JSON rows may nest carbonFootprint; CSV rows use dotted column names
+const flattenJsonRow = (row) => {
+  if (!row.carbonFootprint || typeof row.carbonFootprint !== 'object') {
+    return row;
+  }
+  
+  const { carbonFootprint, ...rest } = row;
+  return {
+    ...rest,
+    'carbonFootprint.individual': carbonFootprint.individual,
+    'carbonFootprint.community': carbonFootprint.community
+  };
+};
+
+// Convert a raw cell to the column type; blank cells are left out
+const convertValue = (value, type) => {
+  if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+    return { skip: true };
+  }
+  
+  if (type === 'string') {
+    return { value: String(value).trim() };
+  }
+  
+  if (type === 'boolean') {
+    if (typeof value === 'boolean') {
+      return { value };
+    }
+    
+    const text = String(value).trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(text)) return { value: true };
+    if (['false', 'no', '0'].includes(text)) return { value: false };
+    return { error: 'must be true or false' };
+  }
+  
+  const number = Number(value);
+  if (isNaN(number)) {
+    return { error: 'must be a number' };
+  }
+  
+  if (type === 'integer' && !Number.isInteger(number)) {
+    return { error: 'must be a whole number' };
+  }
+  
+  return { value: number };
+};
+
+/**
+ * Validate catalog rows against the Product schema without writing anything.
+ * Rows match existing products by SKU, then by id, so products without a SKU
+ * can be updated (and given one) through their id. Each report entry has the
+ * 1-based row number, the SKU, the matched product id, whether the row would
+ * create or update a product, and any validation errors.
+ */
+const validateCatalogRows = async (rows) => {
+  const skus = rows
+    .map(row => (row && row.sku ? String(row.sku).trim().toUpperCase() : null))
+    .filter(Boolean);
+  const ids = rows
+    .map(row => (row && row.id ? String(row.id).trim() : null))
+    .filter(id => id && mongoose.isValidObjectId(id));
+  
+  const [existingProducts, productsWithVariantSkus] = await Promise.all([
+    Product.find({ $or: [{ sku: { $in: skus } }, { _id: { $in: ids } }] }),
+    Product.find({ 'variants.sku': { $in: skus } }).select('variants.sku')
+  ]);
+  const existingBySku = new Map(existingProducts.filter(product => product.sku).map(product => [product.sku, product]));
+  const existingById = new Map(existingProducts.map(product => [product.id, product]));
+  // SKUs must be unique across products and their variants
+  const variantSkus = new Set(productsWithVariantSkus.flatMap(
+    product => product.variants.map(variant => variant.sku).filter(Boolean)
+  ));
+  const seenProducts = new Set();
+  
+  return rows.map((rawRow, index) => {
+    const entry = { row: index + 1, sku: null, productId: null, action: null, errors: [], fields: {} };
+    
+    if (!rawRow || typeof rawRow !== 'object' || Array.isArray(rawRow)) {
+      entry.errors.push('Row must be an object');
+      return entry;
+    }
+    
+    const row = flattenJsonRow(rawRow);
+    
+    CATALOG_COLUMNS.forEach(({ field, type }) => {
+      const result = convertValue(row[field], type);
+      if (result.error) {
+        entry.errors.push(`${field} ${result.error}`);
+      } else if (!result.skip) {
+        entry.fields[field] = result.value;
+      }
+    });
+    
+    const { id, ...fields } = entry.fields;
+    entry.fields = fields;
+    
+    if (id && !mongoose.isValidObjectId(id)) {
+      entry.errors.push('id is not a valid product id');
+      return entry;
+    }
+    
+    const sku = fields.sku ? fields.sku.toUpperCase() : null;
+    const existing = (sku && existingBySku.get(sku)) || (id && existingById.get(id));
+    
+    if (!existing && !sku) {
+      entry.errors.push(id ? 'id does not match any product; new products need a sku' : 'sku or id is required');
+      return entry;
+    }
+    
+    if (sku && variantSkus.has(sku)) {
+      entry.errors.push(`sku ${sku} is already used by a product variant`);
+    }
+    
+    entry.sku = sku || existing.sku || null;
+    entry.productId = existing ? existing._id : null;
+    entry.action = existing ? 'update' : 'create';
+    
+    const productKey = existing ? existing.id : sku;
+    if (seenProducts.has(productKey)) {
+      entry.errors.push('product appears more than once in this import');
+    }
+    seenProducts.add(productKey);
+    
+    // Run the schema validators on a copy so nothing is saved
+    const candidate = existing ? Product.hydrate(existing.toObject({ virtuals: false })) : new Product();
+    Object.entries(entry.fields).forEach(([field, value]) => candidate.set(field, value));
+    
+    const validationError = candidate.validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach(error => entry.errors.push(error.message));
+    }
+    
+    if (
+      existing &&
+      entry.fields.stockQuantity !== undefined &&
+      entry.fields.stockQuantity < existing.reservedQuantity
+    ) {
+      entry.errors.push(`stockQuantity cannot go below the ${existing.reservedQuantity} units reserved for orders`);
+    }
+    
+    return entry;
+  });
+};
+
+/**
+ * Create or update products from a validated report, using the product each
+ * row matched. Stock changes are written to the stock adjustment audit trail.
+ * Runs in a transaction, so a failing row leaves the catalog unchanged.
+ */
+const applyCatalogRows = async (report, userId) => {
+  let results;
+  
+  await mongoose.connection.transaction(async (session) => {
+    results = [];
+    
+    for (const entry of report) {
+      let product = entry.productId
+        ? await Product.findById(entry.productId).session(session)
+        : await Product.findOne({ sku: entry.sku }).session(session);
+      const previousQuantity = product ? product.stockQuantity : 0;
+      const action = product ? 'update' : 'create';
+      
+      if (!product) {
+        product = new Product();
+      }
+      
+      Object.entries(entry.fields).forEach(([field, value]) => product.set(field, value));
+      await product.save({ session });
+      
+      if (product.stockQuantity !== previousQuantity) {
+        await StockAdjustment.create([{
+          product: product._id,
+          adjustedBy: userId,
+          change: product.stockQuantity - previousQuantity,
+          previousQuantity,
+          newQuantity: product.stockQuantity,
+          reason: 'Catalog import'
+        }], { session });
+      }
+      
+      results.push({ row: entry.row, sku: product.sku, action, product: product._id });
+    }
+  });
+  
+  return results;
+};
+
+module.exports = {
+  CATALOG_COLUMNS,
+  parseCsv,
+  toCsv,
+  productToRow,
+  rowToJson,
+  validateCatalogRows,
+  applyCatalogRows
+};
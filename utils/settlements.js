@@ -0,0 +1,225 @@
+const Settlement = require('../models/Settlement');
+const Order = require('../models/Order');
+const Notification = require('../models/Notification');
+const { getPaymentProvider } = require('./payments');
+const { roundCurrency } = require('./pricing');
+
+/**
+ * Build the settlement ledger for a checked-out community cart. Each member
+ * owes their order's grand total: their own item cost, its tax and their
+ * share of the delivery fee. Pass a session to write it with the checkout.
+ */
+const createSettlement = async ({ communityCart, orders, deliveryFee = 0 }, session) => {
+  const shares = orders.map(order => ({
+    user: order.user,
+    order: order._id,
+    itemsAmount: roundCurrency(order.subtotal),
+    tax: roundCurrency(order.tax || 0),
+    deliveryFeeShare: roundCurrency(order.deliveryFee || 0),
+    amountDue: roundCurrency(order.totalPrice)
+  }));
+  
+  const [settlement] = await Settlement.create([{
+    community: communityCart.community,
+    communityCart: communityCart._id,
+    deliveryCycle: communityCart.deliveryCycle,
+    deliveryFee,
+    shares
+  }], { session });
+  
+  return settlement;
+};
+
+const markSharePaid = async (settlement, share, { amount, provider, transactionId }) => {
+  share.amountPaid = roundCurrency(share.amountPaid + amount);
+  share.paymentStatus = 'paid';
+  share.paidAt = new Date();
+  if (transactionId) {
+    share.paymentTransactionId = transactionId;
+  }
+  await settlement.save();
+  
+  if (share.order) {
+    await Order.findByIdAndUpdate(share.order, {
+      paymentStatus: 'completed',
+      paymentProvider: provider,
+      paymentTransactionId: transactionId
+    });
+  }
+};
+
+/**
+ * Pay a member's outstanding share through the payment provider
+ */
+const payShare = async (settlement, share, { paymentToken } = {}) => {
+  const provider = getPaymentProvider();
+  const amount = roundCurrency(share.amountDue - share.amountPaid);
+  
+  const authorization = await provider.authorize({
+    orderId: share.order ? share.order.toString() : settlement._id.toString(),
+    amount,
+    paymentMethod: 'community-settlement',
+    paymentToken
+  });
+  share.paymentTransactionId = authorization.transactionId;
+  
+  if (authorization.status === 'pending') {
+    share.paymentStatus = 'pending';
+    await settlement.save();
+    return share;
+  }
+  
+  if (authorization.status === 'authorized') {
+    const captureResult = await provider.capture({ transactionId: authorization.transactionId, amount });
+    
+    if (captureResult.status === 'captured') {
+      await markSharePaid(settlement, share, {
+        amount,
+        provider: provider.name,
+        transactionId: authorization.transactionId
+      });
+      return share;
+    }
+  }
+  
+  share.paymentStatus = 'failed';
+  await settlement.save();
+  return share;
+};
+
+/**
+ * Give back a share payment that went through after the member's order was cancelled
+ */
+const refundCancelledShare = async (providerName, share, transactionId) => {
+  const order = await Order.findById(share.order);
+  const result = await getPaymentProvider(providerName).refund({
+    transactionId,
+    amount: order ? order.totalPrice : share.amountPaid
+  });
+  
+  if (result.status !== 'refunded') {
+    console.error('Error refunding cancelled settlement share:', result.message);
+    return;
+  }
+  
+  try {
+    await Notification.create({
+      recipient: share.user,
+      type: 'other',
+      title: 'Payment Refunded',
+      message: 'Payment for your cancelled community order went through and has been refunded.',
+      relatedId: share.order,
+      onModel: 'Order'
+    });
+  } catch (notifError) {
+    console.error('Error creating notification:', notifError);
+  }
+};
+
+/**
+ * Close the settlement share of a cancelled group order so the member no
+ * longer owes anything for it. A paid share was refunded with the order.
+ */
+const cancelOrderShare = async (order) => {
+  const settlement = await Settlement.findOne({ 'shares.order': order._id });
+  
+  if (!settlement) {
+    return null;
+  }
+  
+  const share = settlement.shares.find(entry => entry.order && entry.order.equals(order._id));
+  
+  share.paymentStatus = 'cancelled';
+  share.amountDue = 0;
+  if (order.paymentStatus === 'refunded') {
+    share.amountPaid = 0;
+  }
+  await settlement.save();
+  
+  return settlement;
+};
+
+/**
+ * Apply an asynchronous provider confirmation to a settlement share
+ */
+const confirmSharePayment = async (providerName, { transactionId, status }) => {
+  const settlement = await Settlement.findOne({ 'shares.paymentTransactionId': transactionId });
+  
+  if (!settlement) {
+    return null;
+  }
+  
+  const share = settlement.shares.find(entry => entry.paymentTransactionId === transactionId);
+  
+  if (share.paymentStatus === 'paid') {
+    return settlement;
+  }
+  
+  // The member's order was cancelled while the payment was pending
+  if (share.paymentStatus === 'cancelled') {
+    if (status === 'succeeded') {
+      await refundCancelledShare(providerName, share, transactionId);
+    }
+    return settlement;
+  }
+  
+  if (status === 'succeeded') {
+    await markSharePaid(settlement, share, {
+      amount: roundCurrency(share.amountDue - share.amountPaid),
+      provider: providerName,
+      transactionId
+    });
+  } else {
+    share.paymentStatus = 'failed';
+    await settlement.save();
+  }
+  
+  return settlement;
+};
+
+/**
+ * Remind members with an outstanding balance. Returns the number reminded.
+ */
+const sendSettlementReminders = async (settlement, communityName, userIds) => {
+  const now = new Date();
+  let reminded = 0;
+  
+  for (const share of settlement.shares) {
+    if (share.isClosed()) {
+      continue;
+    }
+    if (userIds && !userIds.includes(share.user.toString())) {
+      continue;
+    }
+    
+    const balance = roundCurrency(share.amountDue - share.amountPaid);
+    
+    try {
+      await Notification.create({
+        recipient: share.user,
+        type: 'other',
+        title: 'Payment Reminder',
+        message: `You have an outstanding balance of ${balance.toFixed(2)} for the ${communityName} community order.`,
+        relatedId: share.order,
+        onModel: 'Order'
+      });
+      share.lastReminderAt = now;
+      reminded++;
+    } catch (notifError) {
+      console.error('Error creating notification:', notifError);
+    }
+  }
+  
+  await settlement.save();
+  return reminded;
+};
+
+module.exports = {
+  roundCurrency,
+  createSettlement,
+  markSharePaid,
+  payShare,
+  confirmSharePayment,
+  cancelOrderShare,
+  sendSettlementReminders
+};
@@ -0,0 +1,83 @@
+const TaxRate = require('../models/TaxRate');
+const TaxClass = require('../models/TaxClass');
+const { roundCurrency, allocateCouponDiscount } = require('./pricing');
+const { getLineUnit } = require('./inventory');
+
+const DEFAULT_TAX_CLASS = 'standard';
+
+/**
+ * Get a product's tax class: its own taxClass, else the class covering its
+ * category, else the standard class. A deleted product has no tax class.
+ */
+const getTaxClass = (product, taxClasses) => {
+  if (!product) {
+    return undefined;
+  }
+  
+  if (product.taxClass) {
+    return product.taxClass;
+  }
+  
+  const categoryClass = taxClasses.find(taxClass => taxClass.categories.includes(product.category));
+  return categoryClass ? categoryClass.name : DEFAULT_TAX_CLASS;
+};
+
+/**
+ * Tax priced lines delivered to an address. lineDiscounts are amounts taken
+ * off each line after pricing (a coupon) and are not taxed. Addresses with
+ * no configured rate are not taxed.
+ */
+const calculateTax = async (items, pricing, address, lineDiscounts = []) => {
+  const [taxRate, taxClasses] = await Promise.all([
+    TaxRate.findForAddress(address),
+    TaxClass.find()
+  ]);
+  
+  const lines = items.map((item, index) => {
+    // Lines whose product or variant no longer exists are unavailable and not taxed
+    if (!getLineUnit(item)) {
+      return { taxClass: undefined, taxRate: 0, tax: 0 };
+    }
+    
+    const taxClass = getTaxClass(item.product, taxClasses);
+    const rate = taxRate ? taxRate.getRateForClass(taxClass) : 0;
+    const taxableAmount = Math.max(0, pricing.lines[index].lineTotal - (lineDiscounts[index] || 0));
+    
+    return {
+      taxClass,
+      taxRate: rate,
+      tax: roundCurrency(taxableAmount * (rate / 100))
+    };
+  });
+  
+  return {
+    lines,
+    tax: roundCurrency(lines.reduce((sum, line) => sum + line.tax, 0))
+  };
+};
+
+/**
+ * Work out the charges on priced lines: the subtotal after the coupon, tax on
+ * the discounted lines and the delivery fee. Delivery is not taxed.
+ * Expects the lines' products to be populated.
+ */
+const calculateCharges = async ({ items, pricing, coupon, couponDiscount = 0, address, deliveryFee = 0 }) => {
+  const lineDiscounts = allocateCouponDiscount(coupon, items, pricing, couponDiscount);
+  const taxes = await calculateTax(items, pricing, address, lineDiscounts);
+  const subtotal = roundCurrency(pricing.totalPrice - couponDiscount);
+  
+  return {
+    taxLines: taxes.lines,
+    subtotal,
+    tax: taxes.tax,
+    deliveryFee,
+    totalPrice: roundCurrency(subtotal + taxes.tax + deliveryFee)
+  };
+};
+
+module.exports = {
+  DEFAULT_TAX_CLASS,
+  getTaxClass,
+  calculateTax,
+  calculateCharges
+};